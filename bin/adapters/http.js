@@ -0,0 +1,167 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const http                  = require('http');
+const stream                = require('stream');
+const util                  = require('../util');
+
+/**
+ * Get a function that can be used as a NodeJS http request listener. If the client disconnects before the response
+ * is finished then the request is aborted.
+ * @param {SansServer} server
+ * @returns {function(http.IncomingMessage, http.ServerResponse)}
+ */
+exports.handler = function(server) {
+    return function sansServerHttpHandler(req, res) {
+        const chunks = [];
+
+        req.on('data', chunk => chunks.push(chunk));
+
+        req.on('error', () => {
+            if (!res.headersSent) {
+                res.statusCode = 400;
+                res.end();
+            }
+        });
+
+        req.on('end', () => {
+            const config = exports.toRequest(req, chunks.length ? Buffer.concat(chunks) : undefined);
+            const request = server.request(config, (err, state) => {
+                try {
+                    exports.writeResponse(res, state);
+                } catch (err) {
+                    process.emitWarning('Unable to write response for ' + request.id + ': ' + err.message);
+                    if (!res.headersSent) {
+                        res.statusCode = 500;
+                        res.end();
+                    } else {
+                        res.destroy();
+                    }
+                }
+            });
+
+            res.on('close', () => {
+                if (!res.writableFinished) {
+                    const err = Error('Client disconnected');
+                    err.code = 'ERCLOSED';
+                    request.abort(err);
+                }
+            });
+        });
+    };
+};
+
+/**
+ * Create and start a NodeJS http server that sends all requests to the sans-server instance. Closing the returned
+ * server also closes idle keep-alive connections so that the server shuts down promptly.
+ * @param {SansServer} server
+ * @param {number} [port=0]
+ * @param {function} [callback] Called once the server is listening.
+ * @returns {http.Server}
+ */
+exports.listen = function(server, port, callback) {
+    if (typeof port === 'function') {
+        callback = port;
+        port = 0;
+    }
+
+    const listener = http.createServer(exports.handler(server));
+    const sockets = new Map();
+    let closing = false;
+
+    // track the number of active requests per socket
+    listener.on('connection', socket => {
+        sockets.set(socket, 0);
+        socket.on('close', () => sockets.delete(socket));
+    });
+    listener.on('request', (req, res) => {
+        const socket = req.socket;
+        sockets.set(socket, sockets.get(socket) + 1);
+        res.on('finish', () => {
+            const count = sockets.get(socket) - 1;
+            sockets.set(socket, count);
+            if (closing && count === 0) socket.destroy();
+        });
+    });
+
+    // stop accepting connections and end idle ones
+    const close = listener.close;
+    listener.close = function(callback) {
+        closing = true;
+        close.call(listener, callback);
+        sockets.forEach((count, socket) => {
+            if (count === 0) socket.destroy();
+        });
+        return listener;
+    };
+
+    listener.listen(port || 0, callback);
+    return listener;
+};
+
+/**
+ * Convert a NodeJS incoming message into a sans-server request configuration.
+ * @param {http.IncomingMessage} req
+ * @param {Buffer} [body]
+ * @returns {object}
+ */
+exports.toRequest = function(req, body) {
+    const headers = {};
+    Object.keys(req.headers).forEach(key => {
+        const value = req.headers[key];
+        headers[key] = Array.isArray(value) ? value.join(', ') : value;
+    });
+
+    const config = {
+        headers: headers,
+        method: req.method,
+        path: req.url
+    };
+    if (body) config.body = body;
+
+    return config;
+};
+
+/**
+ * Write a response state to a NodeJS server response. Stream bodies are piped to the response after the headers are
+ * sent so that clients can begin processing long lived streams.
+ * @param {http.ServerResponse} res
+ * @param {ResponseState} state
+ */
+exports.writeResponse = function(res, state) {
+    const headers = Object.assign({}, state.multiValueHeaders);
+    if (state.cookies.length) headers['set-cookie'] = state.cookies.map(cookie => cookie.serialized);
+
+    let body = state.body;
+    if (util.isAsyncIterable(body)) body = stream.Readable.from(body);
+    if (util.isStream(body)) {
+        res.writeHead(state.statusCode, headers);
+        res.flushHeaders();
+        body.on('error', () => res.destroy());
+        body.pipe(res);
+        return;
+    }
+
+    if (state.encoding === 'base64') {
+        body = Buffer.from(body, 'base64');
+    } else if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+        body = String(body);
+    }
+
+    res.writeHead(state.statusCode, headers);
+    res.end(body);
+};
@@ -0,0 +1,168 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const bufferStream          = require('../hooks/buffer-stream');
+
+/**
+ * Get a function that can be used as an AWS Lambda handler for API Gateway proxy integrations. Stream bodies are
+ * read to their end before the response is produced.
+ * @param {SansServer} server
+ * @returns {function(object, object, function=)}
+ */
+exports.handler = function(server) {
+    return function sansServerLambdaHandler(event, context, callback) {
+        const version = exports.version(event);
+        const req = server.request(exports.toRequest(event));
+        req.hook('response', -99999, bufferStream);
+
+        const promise = req.then(state => exports.toResponse(state, version));
+
+        if (typeof callback !== 'function') return promise;
+        promise.then(response => callback(null, response), callback);
+    };
+};
+
+/**
+ * Convert an API Gateway proxy event (payload version 1.0 or 2.0) into a sans-server request configuration.
+ * @param {object} event
+ * @returns {object}
+ */
+exports.toRequest = function(event) {
+    const config = {};
+
+    if (exports.version(event) === '2.0') {
+        const http = event.requestContext && event.requestContext.http || {};
+        config.method = http.method;
+        config.path = event.rawPath || http.path;
+        config.headers = Object.assign({}, event.headers);
+        config.query = parseQueryString(event.rawQueryString || '');
+        if (Array.isArray(event.cookies) && event.cookies.length) config.headers.cookie = event.cookies.join('; ');
+
+    } else {
+        config.method = event.httpMethod;
+        config.path = event.path;
+        config.headers = {};
+        if (event.multiValueHeaders) {
+            Object.keys(event.multiValueHeaders).forEach(key => {
+                config.headers[key] = event.multiValueHeaders[key].join(', ');
+            });
+        } else if (event.headers) {
+            Object.assign(config.headers, event.headers);
+        }
+        config.query = {};
+        if (event.multiValueQueryStringParameters) {
+            Object.keys(event.multiValueQueryStringParameters).forEach(key => {
+                const values = event.multiValueQueryStringParameters[key];
+                config.query[key] = values.length === 1 ? values[0] : values.concat();
+            });
+        } else if (event.queryStringParameters) {
+            Object.assign(config.query, event.queryStringParameters);
+        }
+    }
+
+    if (typeof event.body === 'string') {
+        config.body = event.isBase64Encoded ? Buffer.from(event.body, 'base64') : event.body;
+    }
+
+    return config;
+};
+
+/**
+ * Convert a response state into an API Gateway proxy response.
+ * @param {ResponseState} state
+ * @param {string} [version='1.0'] The payload format version, either '1.0' or '2.0'.
+ * @returns {object}
+ */
+exports.toResponse = function(state, version) {
+    const grouped = groupRawHeaders(state.rawHeaders);
+    const response = { statusCode: state.statusCode };
+
+    if (version === '2.0') {
+        response.headers = {};
+        response.cookies = grouped['set-cookie'] || [];
+        Object.keys(grouped).forEach(key => {
+            if (key !== 'set-cookie') response.headers[key] = grouped[key].join(', ');
+        });
+
+    } else {
+        response.headers = {};
+        response.multiValueHeaders = grouped;
+        Object.keys(grouped).forEach(key => {
+            if (grouped[key].length === 1) response.headers[key] = grouped[key][0];
+        });
+    }
+
+    let body = state.body;
+    response.isBase64Encoded = state.encoding === 'base64';
+    if (Buffer.isBuffer(body)) {
+        body = body.toString('base64');
+        response.isBase64Encoded = true;
+    } else if (typeof body !== 'string') {
+        body = body === undefined ? '' : String(body);
+    }
+    response.body = body;
+
+    return response;
+};
+
+/**
+ * Get the payload format version for an API Gateway proxy event.
+ * @param {object} event
+ * @returns {string}
+ */
+exports.version = function(event) {
+    return event && event.version === '2.0' ? '2.0' : '1.0';
+};
+
+function groupRawHeaders(rawHeaders) {
+    const result = {};
+    rawHeaders.forEach(line => {
+        const index = line.indexOf(':');
+        const key = line.substr(0, index).trim().toLowerCase();
+        const value = line.substr(index + 1).trim();
+        if (!result.hasOwnProperty(key)) result[key] = [];
+        result[key].push(value);
+    });
+    return result;
+}
+
+function parseQueryString(str) {
+    const store = {};
+    str.split('&')
+        .filter(pair => pair.length > 0)
+        .forEach(pair => {
+            const index = pair.indexOf('=');
+            const key = decode(index === -1 ? pair : pair.substr(0, index));
+            const value = index === -1 ? true : decode(pair.substr(index + 1));
+            if (Array.isArray(store[key])) {
+                store[key].push(value);
+            } else if (store.hasOwnProperty(key)) {
+                store[key] = [store[key], value];
+            } else {
+                store[key] = value;
+            }
+        });
+    return store;
+}
+
+function decode(value) {
+    try {
+        return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch (err) {
+        return value;
+    }
+}
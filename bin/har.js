@@ -0,0 +1,446 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const bufferStream          = require('./hooks/buffer-stream');
+const fs                    = require('fs');
+const httpStatus            = require('http-status');
+const pkg                   = require('../package.json');
+const util                  = require('./util');
+
+// response headers that are expected to differ between a recording and a replay
+const defaultIgnoreHeaders = ['date'];
+
+/**
+ * Get a recorder for the har configuration.
+ * @param {boolean|string|function|{delay: number, limit: number, path: string, write: function}} har The har
+ * configuration. A function receives each entry. A string is a file path that the HAR document is written to at most
+ * once per delay. Any other truthy value keeps the entries in memory.
+ * @returns {Recorder|null}
+ */
+exports.recorder = function(har) {
+    if (!har) return null;
+    if (typeof har === 'function') har = { write: har };
+    if (typeof har === 'string') har = { path: har };
+    return new Recorder(Object.assign({ delay: 1000, limit: 1000 }, typeof har === 'object' ? har : {}));
+};
+
+/**
+ * Create a HAR entry for a completed request.
+ * @param {Request} req
+ * @param {object} input The request configuration that was passed to SansServer#request.
+ * @param {ResponseState} state
+ * @param {number} start The time that the request started, in milliseconds since the epoch.
+ * @param {Array<{category: string, type: string, data: string, level: string, timestamp: number}>} events
+ * @returns {object}
+ */
+exports.entry = function(req, input, state, start, events) {
+    const end = Date.now();
+    const requestHeaders = Object.keys(req.headers).map(name => ({ name: name, value: String(req.headers[name]) }));
+    const queryString = [];
+    Object.keys(req.query).forEach(name => {
+        [].concat(req.query[name]).forEach(value => queryString.push({ name: name, value: value === true ? '' : String(value) }));
+    });
+
+    const entry = {
+        startedDateTime: new Date(start).toISOString(),
+        time: end - start,
+        request: {
+            method: req.method,
+            url: 'http://' + (req.headers.host || 'localhost') + req.url,
+            httpVersion: 'HTTP/1.1',
+            cookies: Object.keys(req.cookies || {}).map(name => ({ name: name, value: req.cookies[name] })),
+            headers: requestHeaders,
+            queryString: queryString,
+            headersSize: -1,
+            bodySize: -1
+        },
+        response: response(state),
+        cache: {},
+        timings: timings(start, end, events),
+        _requestId: req.id,
+        _sansServer: { request: serializeInput(input) }
+    };
+
+    const body = req.hasOwnProperty('rawBody') ? req.rawBody : req.body;
+    if (body !== undefined && body !== '') {
+        const postData = { mimeType: req.headers['content-type'] || '' };
+        if (Buffer.isBuffer(body)) {
+            postData.text = body.toString('base64');
+            postData._encoding = 'base64';
+        } else {
+            postData.text = typeof body === 'string' ? body : JSON.stringify(body);
+        }
+        entry.request.postData = postData;
+    }
+
+    return entry;
+};
+
+/**
+ * Create a HAR 1.2 document.
+ * @param {object[]} entries
+ * @returns {{log: object}}
+ */
+exports.document = function(entries) {
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: pkg.name, version: pkg.version },
+            entries: entries
+        }
+    };
+};
+
+/**
+ * Send each HAR entry through the server in order and report the responses that differ from the recording. Entries
+ * recorded by a SansServer replay the exact request configuration, other entries are converted from their HAR request.
+ * @param {SansServer} server
+ * @param {object|string} har A HAR document or the path to a HAR file.
+ * @param {object} [options]
+ * @param {string[]} [options.ignoreHeaders=['date']] Response headers that are not compared.
+ * @param {string[]} [serverIgnoreHeaders=[]] Response headers that the server always produces differently, such as
+ * the echoed request ID, which are not compared in addition to the ignoreHeaders option.
+ * @returns {Promise<{differences: Array, matched: number, total: number}>}
+ */
+exports.replay = function(server, har, options, serverIgnoreHeaders) {
+    options = Object.assign({ ignoreHeaders: defaultIgnoreHeaders }, options);
+    const ignore = options.ignoreHeaders.concat(serverIgnoreHeaders || []).map(name => name.toLowerCase());
+
+    return readDocument(har)
+        .then(document => {
+            const entries = (document && document.log && document.log.entries) || [];
+            const report = { differences: [], matched: 0, total: entries.length };
+
+            return entries
+                .reduce((promise, entry, index) => promise
+                    .then(() => server.request(replayInput(entry)).catch(err => err))
+                    .then(result => {
+                        const state = result instanceof Error ? null : result;
+                        return compare(entry.response, state, ignore)
+                            .then(changes => {
+                                if (result instanceof Error) {
+                                    changes.unshift({ field: 'error', expected: null, actual: result.message });
+                                }
+                                if (changes.length) {
+                                    report.differences.push({
+                                        index: index,
+                                        method: entry.request.method,
+                                        url: entry.request.url,
+                                        requestId: entry._requestId,
+                                        changes: changes
+                                    });
+                                } else {
+                                    report.matched++;
+                                }
+                            });
+                    }), Promise.resolve())
+                .then(() => report);
+        });
+};
+
+/**
+ * Store HAR entries and optionally write them to a file or a function.
+ * @param {{delay: number, limit: number, path: string, write: function}} options
+ * @constructor
+ */
+function Recorder(options) {
+    this.entries = [];
+    this.options = options;
+    this.saving = Promise.resolve();
+    this.timeoutId = null;
+}
+
+/**
+ * Get the HAR document for the stored entries.
+ * @returns {{log: object}}
+ */
+Recorder.prototype.document = function() {
+    return exports.document(this.entries.concat());
+};
+
+/**
+ * Record an entry.
+ * @param {object} entry
+ */
+Recorder.prototype.record = function(entry) {
+    const options = this.options;
+    if (typeof options.write === 'function') {
+        options.write(entry);
+    } else {
+        this.entries.push(entry);
+        if (this.entries.length > options.limit) this.entries.shift();
+
+        // the whole document is rewritten for each save so write the entries recorded during the delay together
+        if (options.path && !this.timeoutId) {
+            this.timeoutId = setTimeout(() => {
+                this.timeoutId = null;
+                this.save().catch(err => process.emitWarning('Unable to write HAR file: ' + err.message));
+            }, options.delay);
+            this.timeoutId.unref();
+        }
+    }
+};
+
+/**
+ * Write the HAR document to a file after any pending writes have finished. Saving to the configured path replaces
+ * the delayed write.
+ * @param {string} [path] The file path. Defaults to the configured path.
+ * @returns {Promise}
+ */
+Recorder.prototype.save = function(path) {
+    const file = path || this.options.path;
+    if (!file) {
+        const err = Error('A file path is required to save HAR entries.');
+        err.code = 'ESHAR';
+        return Promise.reject(err);
+    }
+
+    if (file === this.options.path) {
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+    }
+
+    const document = this.document();
+    const write = () => new Promise((resolve, reject) => {
+        fs.writeFile(file, JSON.stringify(document, null, 2), err => err ? reject(err) : resolve());
+    });
+    const result = this.saving.then(write);
+    this.saving = result.catch(() => {});
+    return result;
+};
+
+/**
+ * Compare a recorded HAR response with a replayed response state.
+ * @param {object} expected The HAR response.
+ * @param {ResponseState|null} state
+ * @param {string[]} ignore Lower case header names to ignore.
+ * @returns {Promise<Array<{field: string, expected: *, actual: *}>>}
+ */
+function compare(expected, state, ignore) {
+    const changes = [];
+    if (!state) return Promise.resolve(changes);
+
+    return readContent(state)
+        .then(content => {
+            const actual = response(state, content);
+
+            if (expected.status !== actual.status) {
+                changes.push({ field: 'status', expected: expected.status, actual: actual.status });
+            }
+
+            const expectedHeaders = groupHeaders(expected.headers, ignore);
+            const actualHeaders = groupHeaders(actual.headers, ignore);
+            Object.keys(Object.assign({}, expectedHeaders, actualHeaders)).sort().forEach(name => {
+                if (expectedHeaders[name] !== actualHeaders[name]) {
+                    changes.push({ field: 'header ' + name, expected: expectedHeaders[name], actual: actualHeaders[name] });
+                }
+            });
+
+            if (!expected.content._stream && contentText(expected.content) !== contentText(actual.content)) {
+                changes.push({ field: 'body', expected: contentText(expected.content), actual: contentText(actual.content) });
+            }
+
+            return changes;
+        });
+}
+
+/**
+ * Get the content text as a utf8 string for text content or a base64 string for binary content.
+ * @param {object} content
+ * @returns {string}
+ */
+function contentText(content) {
+    if (content.encoding !== 'base64') return content.text || '';
+    const buffer = Buffer.from(content.text || '', 'base64');
+    return /^text\/|json|xml|javascript/i.test(content.mimeType) ? buffer.toString('utf8') : buffer.toString('base64');
+}
+
+/**
+ * Group HAR headers by lower case name, joining multiple values.
+ * @param {Array<{name: string, value: string}>} headers
+ * @param {string[]} ignore
+ * @returns {Object<string,string>}
+ */
+function groupHeaders(headers, ignore) {
+    const result = {};
+    (headers || []).forEach(header => {
+        const name = header.name.toLowerCase();
+        if (ignore.indexOf(name) !== -1) return;
+        result[name] = result.hasOwnProperty(name) ? result[name] + ', ' + header.value : header.value;
+    });
+    return result;
+}
+
+/**
+ * Read a HAR document from a file path or use the document provided.
+ * @param {object|string} har
+ * @returns {Promise<object>}
+ */
+function readDocument(har) {
+    if (typeof har !== 'string') return Promise.resolve(har);
+    return new Promise((resolve, reject) => {
+        fs.readFile(har, 'utf8', (err, data) => {
+            if (err) return reject(err);
+            try {
+                resolve(JSON.parse(data));
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+}
+
+/**
+ * Read a replayed stream body so that it can be compared.
+ * @param {ResponseState} state
+ * @returns {Promise<{encoding: string, text: string}|undefined>}
+ */
+function readContent(state) {
+    if (!util.isStream(state.body) && !util.isAsyncIterable(state.body)) return Promise.resolve();
+    return bufferStream.read(state.body)
+        .then(buffer => ({ encoding: 'base64', text: buffer.toString('base64') }));
+}
+
+/**
+ * Get the request configuration to replay for an entry.
+ * @param {object} entry
+ * @returns {object}
+ */
+function replayInput(entry) {
+    const recorded = entry._sansServer && entry._sansServer.request;
+    if (recorded) {
+        const input = Object.assign({}, recorded);
+        if (input.bodyEncoding === 'base64') input.body = Buffer.from(input.body, 'base64');
+        delete input.bodyEncoding;
+        return input;
+    }
+
+    const request = entry.request;
+    const url = /^\w+:\/\/[^/]*(\/.*)?$/.exec(request.url);
+    const headers = {};
+    (request.headers || []).forEach(header => {
+        const name = header.name.toLowerCase();
+        if (name[0] !== ':') headers[name] = headers.hasOwnProperty(name) ? headers[name] + ', ' + header.value : header.value;
+    });
+
+    const input = {
+        headers: headers,
+        method: request.method,
+        path: url ? url[1] || '/' : request.url
+    };
+    if (request.postData && request.postData.text !== undefined) {
+        input.body = request.postData._encoding === 'base64'
+            ? Buffer.from(request.postData.text, 'base64')
+            : request.postData.text;
+    }
+    return input;
+}
+
+/**
+ * Create a HAR response from a response state.
+ * @param {ResponseState} state
+ * @param {{encoding: string, text: string}} [content] Content to use instead of the state body.
+ * @returns {object}
+ */
+function response(state, content) {
+    const headers = [];
+    Object.keys(state.multiValueHeaders).forEach(name => {
+        state.multiValueHeaders[name].forEach(value => headers.push({ name: name, value: value }));
+    });
+    state.cookies.forEach(cookie => headers.push({ name: 'set-cookie', value: cookie.serialized }));
+
+    const result = {
+        status: state.statusCode,
+        statusText: httpStatus[state.statusCode] || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: state.cookies.map(cookie => Object.assign({ name: cookie.name, value: cookie.value }, harCookieOptions(cookie.options))),
+        headers: headers,
+        content: { mimeType: state.headers['content-type'] || '' },
+        redirectURL: state.headers['location'] || '',
+        headersSize: -1,
+        bodySize: -1
+    };
+
+    const body = state.body;
+    if (content) {
+        result.content.text = content.text;
+        result.content.encoding = content.encoding;
+        result.content.size = Buffer.from(content.text, content.encoding).length;
+    } else if (util.isStream(body) || util.isAsyncIterable(body)) {
+        result.content.size = -1;
+        result.content.comment = 'Stream bodies are not recorded.';
+        result.content._stream = true;
+    } else {
+        result.content.text = String(body);
+        if (state.encoding === 'base64') result.content.encoding = 'base64';
+        result.content.size = Buffer.from(result.content.text, state.encoding === 'base64' ? 'base64' : 'utf8').length;
+    }
+
+    return result;
+}
+
+/**
+ * Get the HAR cookie fields for cookie options.
+ * @param {object} [options]
+ * @returns {object}
+ */
+function harCookieOptions(options) {
+    const result = {};
+    if (!options) return result;
+    if (options.path) result.path = options.path;
+    if (options.domain) result.domain = options.domain;
+    if (options.expires) result.expires = new Date(options.expires).toISOString();
+    if (options.httpOnly) result.httpOnly = true;
+    if (options.secure) result.secure = true;
+    return result;
+}
+
+/**
+ * Copy the request configuration into a JSON safe structure.
+ * @param {object|string} input
+ * @returns {object}
+ */
+function serializeInput(input) {
+    const result = typeof input === 'string' ? { path: input } : util.copy(input || {});
+    if (Buffer.isBuffer(result.body)) {
+        result.body = result.body.toString('base64');
+        result.bodyEncoding = 'base64';
+    }
+    return result;
+}
+
+/**
+ * Get the HAR timings from the request log events. The wait time ends when the response is sent and the receive
+ * time covers the response hooks.
+ * @param {number} start
+ * @param {number} end
+ * @param {Array<{category: string, type: string, data: string, timestamp: number}>} events
+ * @returns {object}
+ */
+function timings(start, end, events) {
+    const send = events.find(event => event.category === 'sans-server' && event.type === 'response' && /^send /.test(event.data));
+    const sent = send ? send.timestamp : end;
+    return {
+        blocked: -1,
+        dns: -1,
+        connect: -1,
+        send: 0,
+        wait: sent - start,
+        receive: end - sent,
+        ssl: -1
+    };
+}
@@ -0,0 +1,64 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const util                  = require('../util');
+
+module.exports = bufferStream;
+
+/**
+ * Response middleware that reads a stream or async iterable body to its end and replaces the body with the result.
+ * Text content types produce a string and all others produce a Buffer.
+ * @param {Request} req
+ * @param {Response} res
+ * @param {function} next
+ */
+function bufferStream(req, res, next) {
+    const body = res.state.body;
+    if (!util.isStream(body) && !util.isAsyncIterable(body)) return next();
+
+    res.log.debug('buffer-stream', 'Reading stream body');
+    read(body)
+        .then(buffer => {
+            const contentType = res.state.headers['content-type'] || '';
+            const text = /^text\/|json|xml|javascript/i.test(contentType);
+            res.body(text ? buffer.toString('utf8') : buffer);
+            next();
+        })
+        .catch(next);
+}
+
+/**
+ * Read a stream or async iterable into a single Buffer.
+ * @param {stream.Readable|AsyncIterable} source
+ * @returns {Promise<Buffer>}
+ */
+bufferStream.read = read;
+
+function read(source) {
+    const chunks = [];
+    const iterator = source[Symbol.asyncIterator]();
+
+    function step() {
+        return iterator.next().then(item => {
+            if (item.done) return Buffer.concat(chunks);
+            chunks.push(Buffer.isBuffer(item.value) ? item.value : Buffer.from(String(item.value)));
+            return step();
+        });
+    }
+
+    return step();
+}
@@ -0,0 +1,114 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const negotiate             = require('../negotiate');
+const util                  = require('../util');
+const zlib                  = require('zlib');
+
+// content types that are already compressed
+const compressed = /^(image\/(?!svg\+xml)|audio\/|video\/|font\/woff)|^application\/(zip|gzip|x-gzip|x-bzip2|x-7z-compressed|x-rar-compressed|x-xz|zstd|pdf|wasm)$/i;
+
+const coders = {
+    br: {
+        buffer: zlib.brotliCompress,
+        stream: zlib.createBrotliCompress
+    },
+    deflate: {
+        buffer: zlib.deflate,
+        stream: zlib.createDeflate
+    },
+    gzip: {
+        buffer: zlib.gzip,
+        stream: zlib.createGzip
+    }
+};
+
+module.exports = compress;
+
+/**
+ * Get response middleware that compresses the body using the best encoding allowed by the Accept-Encoding request
+ * header. Compressed bodies are base64 encoded strings and streams are piped through the compressor.
+ * @param {object} [options]
+ * @param {string[]} [options.encodings=['br', 'gzip', 'deflate']] The encodings to use, in order of preference.
+ * @param {number} [options.threshold=1024] The minimum number of bytes a body must have to be compressed. Streams are
+ * always compressed.
+ * @returns {function}
+ */
+function compress(options) {
+    options = Object.assign({ encodings: ['br', 'gzip', 'deflate'], threshold: 1024 }, options);
+    options.encodings.forEach(encoding => {
+        if (!coders.hasOwnProperty(encoding)) {
+            const err = Error('Unsupported compression encoding: ' + encoding);
+            err.code = 'ESHOOK';
+            throw err;
+        }
+    });
+
+    return function compress(req, res, next) {
+        const state = res.state;
+        const headers = state.headers;
+        const body = state.body;
+        const isStream = util.isStream(body);
+
+        // determine if the response could be compressed
+        if (state.statusCode === 204 || state.statusCode === 206 || state.statusCode === 304) return next();
+        if (headers.hasOwnProperty('content-encoding')) return next();
+        if (/no-transform/i.test(headers['cache-control'] || '')) return next();
+        if (compressed.test((headers['content-type'] || '').split(';')[0].trim())) return next();
+        if (!isStream && typeof body !== 'string' && !Buffer.isBuffer(body)) return next();
+        res.vary('Accept-Encoding');
+
+        // determine the encoding to use
+        const accept = req.headers['accept-encoding'];
+        const encoding = accept === undefined
+            ? 'identity'
+            : negotiate.encodings(accept, options.encodings.concat(['identity']))[0];
+        if (!coders.hasOwnProperty(encoding)) return next();
+
+        if (isStream) {
+            res.log('compress', 'Compressing stream with ' + encoding);
+            setEncoding(res, encoding);
+            res.body(body.pipe(coders[encoding].stream()));
+            return next();
+        }
+
+        const buffer = state.encoding === 'base64' ? Buffer.from(body, 'base64') : Buffer.from(body);
+        if (buffer.length < options.threshold) return next();
+
+        coders[encoding].buffer(buffer, (err, result) => {
+            if (err) return next(err);
+            res.log('compress', 'Compressed ' + buffer.length + ' bytes to ' + result.length + ' with ' + encoding);
+            setEncoding(res, encoding);
+            res.body(result.toString('base64'), 'base64');
+            next();
+        });
+    };
+}
+
+/**
+ * Set the content encoding headers for a compressed response.
+ * @param {Response} res
+ * @param {string} encoding
+ */
+function setEncoding(res, encoding) {
+    const etag = res.state.headers['etag'];
+
+    // a strong ETag becomes weak because the representation has changed
+    if (etag && /^"/.test(etag)) res.set('ETag', 'W/' + etag);
+
+    res.clearHeader('content-length').set('Content-Encoding', encoding);
+}
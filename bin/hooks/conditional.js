@@ -0,0 +1,146 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const crypto                = require('crypto');
+const util                  = require('../util');
+
+// headers that a 304 response keeps, all others are removed
+const notModifiedHeaders = ['cache-control', 'content-location', 'date', 'etag', 'expires', 'last-modified', 'vary'];
+
+module.exports = conditional;
+
+/**
+ * Get response middleware that sets an ETag header from the final body and evaluates the request's If-None-Match and
+ * If-Modified-Since headers, converting the response into a 304 for GET and HEAD requests that are not modified. Only
+ * 2xx responses are evaluated. The If-Match and If-Unmodified-Since preconditions must be evaluated before a resource
+ * is changed, so they are left to {@link Request#preconditionFailed}.
+ * @param {object} [options]
+ * @param {string[]} [options.keepHeaders=[]] Additional headers that a 304 response keeps.
+ * @param {boolean} [options.weak=true] Whether generated ETags are weak validators.
+ * @returns {function}
+ */
+function conditional(options) {
+    const weak = !options || options.weak !== false;
+    const keep = notModifiedHeaders.concat((options && options.keepHeaders || []).map(key => key.toLowerCase()));
+
+    return function conditional(req, res, next) {
+        const state = res.state;
+        if (state.statusCode < 200 || state.statusCode >= 300) return next();
+
+        // generate the ETag if not already set and the body is not a stream
+        if (!state.headers.hasOwnProperty('etag') && !util.isStream(state.body) && !util.isAsyncIterable(state.body)) {
+            const body = state.encoding === 'base64' ? Buffer.from(state.body, 'base64') : state.body;
+            res.log.debug('conditional', 'Set ETag');
+            res.set('ETag', etag(body, weak));
+        }
+
+        if (evaluate(req, res.state) === 304) {
+            res.log('conditional', 'Not modified');
+            Object.keys(res.state.headers).forEach(key => {
+                if (keep.indexOf(key) === -1) res.clearHeader(key);
+            });
+            res.status(304).body('');
+        }
+
+        next();
+    };
+}
+
+/**
+ * Generate an ETag for a body.
+ * @param {string|Buffer} body
+ * @param {boolean} [weak=false]
+ * @returns {string}
+ */
+conditional.etag = etag;
+
+function etag(body, weak) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+    const hash = crypto.createHash('sha1').update(buffer).digest('base64').substr(0, 27);
+    return (weak ? 'W/' : '') + '"' + buffer.length.toString(16) + '-' + hash + '"';
+}
+
+/**
+ * Evaluate the If-None-Match and If-Modified-Since request headers of a GET or HEAD request against the response's
+ * ETag and Last-Modified headers.
+ * @param {Request} req
+ * @param {{headers: Object<string,string>}} state
+ * @returns {number} 304, or 0 if the response should not change.
+ */
+conditional.evaluate = evaluate;
+
+function evaluate(req, state) {
+    const headers = req.headers;
+    const lastModified = Date.parse(state.headers['last-modified']);
+    if (req.method !== 'GET' && req.method !== 'HEAD') return 0;
+
+    if (headers.hasOwnProperty('if-none-match')) {
+        if (matches(headers['if-none-match'], state.headers['etag'], false)) return 304;
+    } else if (headers.hasOwnProperty('if-modified-since')) {
+        const since = Date.parse(headers['if-modified-since']);
+        if (!isNaN(since) && !isNaN(lastModified) && lastModified <= since) return 304;
+    }
+
+    return 0;
+}
+
+/**
+ * Evaluate the request's preconditions in the order specified by RFC 7232 against the current ETag and last
+ * modified date of the resource, before the resource is changed. If-Match and If-Unmodified-Since fail for any
+ * method and a matching If-None-Match fails for methods other than GET and HEAD.
+ * @param {Request} req
+ * @param {string} [current] The current ETag of the resource, or undefined if the resource does not exist.
+ * @param {Date|number|string} [lastModified] When the resource was last modified.
+ * @returns {boolean} True if a precondition failed and a 412 should be sent.
+ */
+conditional.preconditionFailed = preconditionFailed;
+
+function preconditionFailed(req, current, lastModified) {
+    const headers = req.headers;
+    const time = lastModified instanceof Date ? lastModified.getTime()
+        : typeof lastModified === 'number' ? lastModified : Date.parse(lastModified);
+
+    if (headers.hasOwnProperty('if-match')) {
+        if (!matches(headers['if-match'], current, true)) return true;
+    } else if (headers.hasOwnProperty('if-unmodified-since')) {
+        const since = Date.parse(headers['if-unmodified-since']);
+        if (!isNaN(since) && !isNaN(time) && Math.floor(time / 1000) * 1000 > since) return true;
+    }
+
+    return req.method !== 'GET' && req.method !== 'HEAD' && headers.hasOwnProperty('if-none-match') &&
+        matches(headers['if-none-match'], current, false);
+}
+
+/**
+ * Determine if an ETag is in a list of ETags.
+ * @param {string} header The If-Match or If-None-Match header value.
+ * @param {string} [current] The ETag for the response.
+ * @param {boolean} strong Whether to use strong comparison.
+ * @returns {boolean}
+ */
+function matches(header, current, strong) {
+    if (header.trim() === '*') return !!current;
+    if (!current || (strong && /^W\//.test(current))) return false;
+
+    const opaque = current.replace(/^W\//, '');
+    return header.split(',')
+        .map(tag => tag.trim())
+        .some(tag => {
+            if (strong && /^W\//.test(tag)) return false;
+            return tag.replace(/^W\//, '') === opaque;
+        });
+}
@@ -0,0 +1,122 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Router                = require('../server/router');
+
+module.exports = cors;
+
+/**
+ * Get response middleware that adds CORS headers to responses and answers preflight requests. A preflight request
+ * that was not handled by a route gets its allowed methods from the routes that match its path, so it should run
+ * after the request hooks have determined the Allow header. If the server has no routes then the requested method is
+ * allowed.
+ * @param {object} [options]
+ * @param {string[]} [options.allowedHeaders] The allowed request headers. Defaults to the requested headers.
+ * @param {boolean} [options.credentials=false] Whether to allow credentials.
+ * @param {string[]} [options.exposedHeaders=[]] The response headers that the client may read.
+ * @param {number} [options.maxAge] The number of seconds that a preflight response may be cached.
+ * @param {string[]} [options.methods] The methods to allow for preflight requests when no route matches the path.
+ * @param {string|RegExp|Array<string|RegExp>|function} [options.origin='*'] The allowed origins.
+ * @returns {function}
+ */
+function cors(options) {
+    options = Object.assign({ credentials: false, exposedHeaders: [], origin: '*' }, options);
+    const anyOrigin = options.origin === '*' || options.origin === true;
+
+    return function cors(req, res, next) {
+        const origin = req.headers.origin;
+        const preflight = req.method === 'OPTIONS' && origin !== undefined &&
+            req.headers.hasOwnProperty('access-control-request-method');
+
+        if (!anyOrigin || options.credentials) res.vary('Origin');
+        if (origin === undefined) return next();
+
+        allowOrigin(options, origin, req)
+            .then(allowed => {
+                if (!allowed) {
+                    res.log('cors', 'Origin not allowed: ' + origin);
+                    return next();
+                }
+
+                if (preflight) {
+                    const methods = preflightMethods(options, req, res.state);
+                    if (!methods) {
+                        res.log('cors', 'Preflight path not found');
+                        return next();
+                    }
+
+                    // a preflight that was not answered by a route becomes a 204
+                    if (res.state.statusCode < 200 || res.state.statusCode >= 300) {
+                        res.log('cors', 'Answering preflight request');
+                        res.reset().status(204);
+                    }
+
+                    const requestHeaders = req.headers['access-control-request-headers'];
+                    const allowedHeaders = options.allowedHeaders ? options.allowedHeaders.join(', ') : requestHeaders;
+                    res.set('Access-Control-Allow-Methods', methods.join(', '));
+                    if (allowedHeaders) res.set('Access-Control-Allow-Headers', allowedHeaders);
+                    if (!options.allowedHeaders) res.vary('Access-Control-Request-Headers');
+                    if (options.maxAge !== undefined) res.set('Access-Control-Max-Age', String(options.maxAge));
+                    if (!anyOrigin || options.credentials) res.vary('Origin');
+
+                } else if (options.exposedHeaders.length) {
+                    res.set('Access-Control-Expose-Headers', options.exposedHeaders.join(', '));
+                }
+
+                res.set('Access-Control-Allow-Origin', anyOrigin && !options.credentials ? '*' : origin);
+                if (options.credentials) res.set('Access-Control-Allow-Credentials', 'true');
+                next();
+            })
+            .catch(next);
+    };
+}
+
+/**
+ * Determine if an origin is allowed.
+ * @param {object} options
+ * @param {string} origin
+ * @param {Request} req
+ * @returns {Promise<boolean>}
+ */
+function allowOrigin(options, origin, req) {
+    const allowed = options.origin;
+    if (typeof allowed === 'function') return Promise.resolve(allowed(origin, req)).then(result => !!result);
+    return Promise.resolve([].concat(allowed).some(item => {
+        if (item === '*' || item === true) return true;
+        if (item instanceof RegExp) return item.test(origin);
+        return item === origin;
+    }));
+}
+
+/**
+ * Get the methods that a preflight request allows.
+ * @param {object} options
+ * @param {Request} req
+ * @param {ResponseState} state
+ * @returns {string[]|null}
+ */
+function preflightMethods(options, req, state) {
+    const requested = req.headers['access-control-request-method'];
+    if (state.headers.hasOwnProperty('allow')) return state.headers['allow'].split(',').map(v => v.trim());
+    if (options.methods) return options.methods.map(method => method.toUpperCase());
+    if (state.statusCode >= 200 && state.statusCode < 300) return [requested];
+
+    // without routes there is nothing to say which methods a path supports, so allow any valid requested method
+    const method = String(requested).toUpperCase();
+    if (!Router.routed(req) && Router.methods.indexOf(method) !== -1) return [method];
+    return null;
+}
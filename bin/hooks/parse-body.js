@@ -0,0 +1,149 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const querystring           = require('querystring');
+
+module.exports = parseBody;
+
+/**
+ * Request middleware that parses the request body based on the Content-Type header. The original body is kept as
+ * req.rawBody. If the body cannot be parsed then a 400 response is sent.
+ * @param {Request} req
+ * @param {Response} res
+ * @param {function} next
+ */
+function parseBody(req, res, next) {
+    const raw = req.body;
+    const contentType = parseContentType(req.headers['content-type']);
+    req.rawBody = raw;
+
+    // only strings and buffers are parsed
+    const isBuffer = Buffer.isBuffer(raw);
+    if (!contentType.type || (typeof raw !== 'string' && !isBuffer) || raw.length === 0) return next();
+
+    const type = contentType.type;
+    try {
+        if (type === 'application/json' || /\+json$/.test(type)) {
+            req.body = JSON.parse(toString(raw, contentType.charset));
+            req.log('parse-body', 'Parsed JSON');
+
+        } else if (type === 'application/x-www-form-urlencoded') {
+            req.body = parseUrlEncoded(toString(raw, contentType.charset));
+            req.log('parse-body', 'Parsed URL encoded form');
+
+        } else if (type === 'multipart/form-data') {
+            req.body = parseMultipart(isBuffer ? raw : Buffer.from(raw), contentType.boundary);
+            req.log('parse-body', 'Parsed multipart form');
+
+        } else if (/^text\//.test(type)) {
+            req.body = toString(raw, contentType.charset);
+            req.log('parse-body', 'Parsed text');
+        }
+    } catch (err) {
+        req.log.warn('parse-body', 'Unable to parse body: ' + err.message);
+        return res.sendStatus(400);
+    }
+
+    next();
+}
+
+/**
+ * Convert a URL encoded form into the form body format.
+ * @param {string} str
+ * @returns {Object<string,Array<{headers: object, content: string}>>}
+ */
+function parseUrlEncoded(str) {
+    const parsed = querystring.parse(str);
+    const result = {};
+    Object.keys(parsed).forEach(key => {
+        const values = Array.isArray(parsed[key]) ? parsed[key] : [parsed[key]];
+        result[key] = values.map(value => ({ headers: {}, content: value }));
+    });
+    return result;
+}
+
+/**
+ * Convert a multipart form into the form body format. File parts have their content as a Buffer.
+ * @param {Buffer} buffer
+ * @param {string} boundary
+ * @returns {Object<string,Array<{headers: object, content: string|Buffer, filename: string}>>}
+ */
+function parseMultipart(buffer, boundary) {
+    if (!boundary) throw Error('Missing multipart boundary');
+
+    const delimiter = Buffer.from('--' + boundary);
+    const separator = Buffer.from('\r\n--' + boundary);
+    const result = {};
+
+    let index = buffer.indexOf(delimiter);
+    if (index === -1) throw Error('Multipart boundary not found');
+    index += delimiter.length;
+
+    while (buffer.toString('utf8', index, index + 2) !== '--') {
+        if (buffer.toString('utf8', index, index + 2) !== '\r\n') throw Error('Malformed multipart boundary');
+        index += 2;
+
+        const end = buffer.indexOf(separator, index);
+        if (end === -1) throw Error('Unterminated multipart body');
+
+        const part = buffer.slice(index, end);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) throw Error('Malformed multipart part');
+
+        const headers = {};
+        part.toString('utf8', 0, headerEnd).split('\r\n').forEach(line => {
+            const i = line.indexOf(':');
+            if (i > 0) headers[line.substr(0, i).trim().toLowerCase()] = line.substr(i + 1).trim();
+        });
+
+        const disposition = headers['content-disposition'] || '';
+        const name = getParameter(disposition, 'name');
+        if (name === undefined) throw Error('Multipart part is missing a name');
+
+        const filename = getParameter(disposition, 'filename');
+        const content = part.slice(headerEnd + 4);
+        const item = { headers: headers, content: filename === undefined ? content.toString('utf8') : content };
+        if (filename !== undefined) item.filename = filename;
+
+        if (!result.hasOwnProperty(name)) result[name] = [];
+        result[name].push(item);
+
+        index = end + separator.length;
+    }
+
+    return result;
+}
+
+function getParameter(header, name) {
+    const match = new RegExp('(?:^|;)\\s*' + name + '=(?:"([^"]*)"|([^;]*))', 'i').exec(header);
+    return match ? (match[1] !== undefined ? match[1] : match[2].trim()) : undefined;
+}
+
+function parseContentType(value) {
+    const result = { type: '', charset: 'utf8', boundary: '' };
+    if (typeof value !== 'string') return result;
+
+    result.type = value.split(';')[0].trim().toLowerCase();
+    const charset = getParameter(value, 'charset');
+    if (charset && Buffer.isEncoding(charset.toLowerCase())) result.charset = charset.toLowerCase();
+    result.boundary = getParameter(value, 'boundary') || '';
+    return result;
+}
+
+function toString(value, charset) {
+    return Buffer.isBuffer(value) ? value.toString(charset) : value;
+}
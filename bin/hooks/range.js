@@ -0,0 +1,191 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const crypto                = require('crypto');
+const httpStatus            = require('http-status');
+
+module.exports = range;
+
+/**
+ * Get response middleware that answers GET requests that have a Range header with the requested bytes of the body.
+ * A single range produces a 206 with a Content-Range header, multiple ranges produce a 206 with a multipart/byteranges
+ * body, and ranges that cannot be satisfied produce a 416. Only 200 responses whose body is a string or Buffer are
+ * evaluated, and these advertise byte ranges with the Accept-Ranges header.
+ * @param {object} [options]
+ * @param {number} [options.maxRanges=20] The maximum number of ranges to accept. Requests with more ranges get the
+ * whole body.
+ * @returns {function}
+ */
+function range(options) {
+    options = Object.assign({ maxRanges: 20 }, options);
+
+    return function range(req, res, next) {
+        const state = res.state;
+        const headers = state.headers;
+        if (state.statusCode !== 200 || typeof state.body !== 'string') return next();
+        if (headers.hasOwnProperty('accept-ranges') && headers['accept-ranges'] !== 'bytes') return next();
+        res.set('Accept-Ranges', 'bytes');
+
+        const header = req.headers.range;
+        if (req.method !== 'GET' || header === undefined) return next();
+
+        // a failed If-Range condition sends the whole body
+        if (req.headers.hasOwnProperty('if-range') && !ifRange(req.headers['if-range'], headers)) {
+            res.log('range', 'If-Range condition failed');
+            return next();
+        }
+
+        const body = Buffer.from(state.body, state.encoding === 'base64' ? 'base64' : 'utf8');
+        const ranges = parse(header, body.length);
+        if (ranges === null || ranges.length > options.maxRanges) {
+            res.log('range', 'Ignoring range: ' + header);
+            return next();
+        }
+
+        if (!ranges.length) {
+            res.log('range', 'Range not satisfiable: ' + header);
+            res.status(416)
+                .clearHeader('content-length')
+                .set('Content-Range', 'bytes */' + body.length)
+                .set('Content-Type', 'text/plain')
+                .body(httpStatus[416]);
+            return next();
+        }
+
+        res.status(206).clearHeader('content-length');
+        if (ranges.length === 1) {
+            const r = ranges[0];
+            res.log('range', 'Sending bytes ' + r.start + '-' + r.end + ' of ' + body.length);
+            res.set('Content-Range', contentRange(r, body.length))
+                .body(body.slice(r.start, r.end + 1).toString('base64'), 'base64');
+        } else {
+            const boundary = crypto.randomBytes(12).toString('hex');
+            const contentType = headers['content-type'];
+            const parts = [];
+            ranges.forEach(r => {
+                parts.push(Buffer.from('--' + boundary + '\r\n' +
+                    (contentType ? 'Content-Type: ' + contentType + '\r\n' : '') +
+                    'Content-Range: ' + contentRange(r, body.length) + '\r\n\r\n'));
+                parts.push(body.slice(r.start, r.end + 1));
+                parts.push(Buffer.from('\r\n'));
+            });
+            parts.push(Buffer.from('--' + boundary + '--\r\n'));
+
+            res.log('range', 'Sending ' + ranges.length + ' ranges of ' + body.length + ' bytes');
+            res.set('Content-Type', 'multipart/byteranges; boundary=' + boundary)
+                .body(Buffer.concat(parts).toString('base64'), 'base64');
+        }
+
+        next();
+    };
+}
+
+/**
+ * Parse a Range header. Overlapping and adjacent ranges are combined.
+ * @param {string} header The Range header value.
+ * @param {number} size The number of bytes in the body.
+ * @returns {Array<{start: number, end: number}>|null} The satisfiable ranges, an empty array if none of the ranges
+ * can be satisfied, or null if the header is invalid or does not use byte units.
+ */
+range.parse = parse;
+
+function parse(header, size) {
+    const match = /^\s*bytes\s*=(.*)$/i.exec(header);
+    if (!match) return null;
+
+    const ranges = [];
+    const specs = match[1].split(',');
+    for (let i = 0; i < specs.length; i++) {
+        const spec = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(specs[i]);
+        if (!spec || (spec[1] === '' && spec[2] === '')) return null;
+
+        let start;
+        let end;
+        if (spec[1] === '') {
+            // suffix range for the last N bytes
+            const length = parseInt(spec[2], 10);
+            if (length === 0) continue;
+            start = Math.max(size - length, 0);
+            end = size - 1;
+        } else {
+            start = parseInt(spec[1], 10);
+            end = spec[2] === '' ? size - 1 : parseInt(spec[2], 10);
+            if (end < start) return null;
+            end = Math.min(end, size - 1);
+        }
+
+        if (start < size) ranges.push({ start: start, end: end });
+    }
+
+    return ranges.length > 1 ? combine(ranges) : ranges;
+}
+
+/**
+ * Combine overlapping and adjacent ranges while keeping the order of the first range in each combination.
+ * @param {Array<{start: number, end: number}>} ranges
+ * @returns {Array<{start: number, end: number}>}
+ */
+function combine(ranges) {
+    const ordered = ranges
+        .map((r, index) => ({ start: r.start, end: r.end, index: index }))
+        .sort((a, b) => a.start - b.start);
+
+    const combined = [ordered[0]];
+    for (let i = 1; i < ordered.length; i++) {
+        const current = ordered[i];
+        const last = combined[combined.length - 1];
+        if (current.start > last.end + 1) {
+            combined.push(current);
+        } else {
+            last.end = Math.max(last.end, current.end);
+            last.index = Math.min(last.index, current.index);
+        }
+    }
+
+    return combined
+        .sort((a, b) => a.index - b.index)
+        .map(r => ({ start: r.start, end: r.end }));
+}
+
+/**
+ * Get the Content-Range header value for a range.
+ * @param {{start: number, end: number}} r
+ * @param {number} size
+ * @returns {string}
+ */
+function contentRange(r, size) {
+    return 'bytes ' + r.start + '-' + r.end + '/' + size;
+}
+
+/**
+ * Determine if the If-Range condition matches the response. An entity tag must strongly match the ETag and a date
+ * must exactly match the Last-Modified date.
+ * @param {string} condition The If-Range header value.
+ * @param {Object<string,string>} headers The response headers.
+ * @returns {boolean}
+ */
+function ifRange(condition, headers) {
+    condition = condition.trim();
+    if (/^(W\/)?"/.test(condition)) {
+        const etag = headers['etag'];
+        return !!etag && !/^W\//.test(condition) && !/^W\//.test(etag) && condition === etag;
+    }
+
+    const date = Date.parse(condition);
+    const lastModified = Date.parse(headers['last-modified']);
+    return !isNaN(date) && !isNaN(lastModified) && date === lastModified;
+}
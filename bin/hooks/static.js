@@ -0,0 +1,199 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const conditional           = require('./conditional');
+const fs                    = require('fs');
+const HttpError             = require('../server/http-error');
+const path                  = require('path');
+
+// content types by file extension, text types are served as utf-8
+const types = {
+    '.css': 'text/css; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.gif': 'image/gif',
+    '.htm': 'text/html; charset=utf-8',
+    '.html': 'text/html; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.jpeg': 'image/jpeg',
+    '.jpg': 'image/jpeg',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.mjs': 'application/javascript; charset=utf-8',
+    '.mp3': 'audio/mpeg',
+    '.mp4': 'video/mp4',
+    '.otf': 'font/otf',
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ttf': 'font/ttf',
+    '.txt': 'text/plain; charset=utf-8',
+    '.wasm': 'application/wasm',
+    '.webm': 'video/webm',
+    '.webp': 'image/webp',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.xml': 'application/xml; charset=utf-8',
+    '.zip': 'application/zip'
+};
+
+module.exports = serveStatic;
+
+/**
+ * Get request middleware that responds to GET and HEAD requests with files from a directory. The request path is
+ * resolved within the root directory and paths that would leave it are answered with a 403. Requests for files that
+ * do not exist are passed to the next hook.
+ * @param {string} root The directory to serve files from.
+ * @param {object} [options]
+ * @param {boolean|string} [options.cacheControl=true] Whether to set the Cache-Control header, or the header value.
+ * @param {string} [options.dotfiles='ignore'] How to treat files that begin with a dot: 'allow', 'deny' (403), or
+ * 'ignore' (pass to the next hook).
+ * @param {boolean} [options.etag=true] Whether to set the ETag header.
+ * @param {boolean} [options.immutable=false] Whether to add the immutable directive to the Cache-Control header.
+ * @param {string|string[]|boolean} [options.index='index.html'] The file names to serve for a directory.
+ * @param {boolean} [options.lastModified=true] Whether to set the Last-Modified header.
+ * @param {number} [options.maxAge=0] The number of seconds for the Cache-Control max-age directive.
+ * @param {string} [options.prefix='/'] The path that the files are served from.
+ * @param {Object<string,string>} [options.types] Content types by file extension, in addition to the built in types.
+ * @returns {function}
+ */
+function serveStatic(root, options) {
+    if (typeof root !== 'string' || !root.length) {
+        const err = Error('Static root directory must be a non-empty string. Received: ' + root);
+        err.code = 'ESHOOK';
+        throw err;
+    }
+
+    options = Object.assign({
+        cacheControl: true,
+        dotfiles: 'ignore',
+        etag: true,
+        immutable: false,
+        index: 'index.html',
+        lastModified: true,
+        maxAge: 0,
+        prefix: '/'
+    }, options);
+    root = path.resolve(root);
+    const index = options.index === false ? [] : [].concat(options.index === true ? 'index.html' : options.index);
+    const prefix = options.prefix.replace(/\/+$/, '');
+    const contentTypes = Object.assign({}, types, options.types);
+    const cacheControl = typeof options.cacheControl === 'string'
+        ? options.cacheControl
+        : 'public, max-age=' + Math.floor(options.maxAge) + (options.immutable ? ', immutable' : '');
+
+    return function serveStatic(req, res, next) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+        if (prefix && req.path !== prefix && req.path.indexOf(prefix + '/') !== 0) return next();
+
+        // decode the path relative to the prefix
+        let relative;
+        try {
+            relative = decodeURIComponent(req.path.substr(prefix.length)) || '/';
+        } catch (err) {
+            return next(new HttpError(400, 'Invalid path encoding'));
+        }
+
+        // resolve the file path and keep it within the root directory
+        const segments = relative.split(/[\\/]/);
+        if (relative.indexOf('\0') !== -1 || segments.indexOf('..') !== -1) {
+            req.log.warn('static', 'Forbidden path: ' + req.path);
+            return next(new HttpError(403));
+        }
+        const filePath = path.join(root, relative);
+        if (filePath !== root && filePath.indexOf(root + path.sep) !== 0) return next(new HttpError(403));
+
+        // handle dot files
+        if (segments.some(segment => segment[0] === '.')) {
+            if (options.dotfiles === 'deny') return next(new HttpError(403));
+            if (options.dotfiles !== 'allow') return next();
+        }
+
+        findFile(filePath, index, (err, file) => {
+            if (err) return next(err);
+            if (!file) return next();
+
+            // a directory must end with a slash so that relative links resolve within it
+            if (file.directory && !/\/$/.test(req.path)) {
+                req.log('static', 'Redirecting to directory');
+                res.status(301).set('Location', req.path + '/' + req.url.substr(req.path.length)).send('');
+                return;
+            }
+
+            const headers = {};
+            if (options.etag) headers['etag'] = 'W/"' + file.stats.size.toString(16) + '-' +
+                file.stats.mtime.getTime().toString(16) + '"';
+            if (options.lastModified) headers['last-modified'] = file.stats.mtime.toUTCString();
+            if (options.cacheControl) headers['cache-control'] = cacheControl;
+            Object.keys(headers).forEach(key => res.set(key, headers[key]));
+
+            // answer conditional requests without reading the file
+            if (conditional.evaluate(req, { headers: headers }) === 304) {
+                req.log('static', 'Not modified: ' + file.path);
+                res.status(304).send('');
+                return;
+            }
+
+            fs.readFile(file.path, (err, buffer) => {
+                if (err) return next(err);
+                req.log('static', 'Serving file: ' + file.path);
+                res.set('Content-Type', contentTypes[path.extname(file.path).toLowerCase()] || 'application/octet-stream')
+                    .send(buffer);
+            });
+        });
+    };
+}
+
+/**
+ * Expose the built in content types by file extension.
+ * @type {Object<string,string>}
+ */
+serveStatic.types = types;
+
+/**
+ * Find the file to serve for a path. A directory resolves to its first existing index file.
+ * @param {string} filePath
+ * @param {string[]} index
+ * @param {function(Error, {directory: boolean, path: string, stats: fs.Stats}=)} callback
+ */
+function findFile(filePath, index, callback) {
+    fs.stat(filePath, (err, stats) => {
+        if (err) return callback(isMissing(err) ? null : err);
+        if (stats.isFile()) return callback(null, { directory: false, path: filePath, stats: stats });
+        if (!stats.isDirectory()) return callback(null);
+
+        (function next(i) {
+            if (i >= index.length) return callback(null);
+            const indexPath = path.join(filePath, index[i]);
+            fs.stat(indexPath, (err, stats) => {
+                if (err && !isMissing(err)) return callback(err);
+                if (err || !stats.isFile()) return next(i + 1);
+                callback(null, { directory: true, path: indexPath, stats: stats });
+            });
+        })(0);
+    });
+}
+
+/**
+ * Determine if a file system error means that the file does not exist.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isMissing(err) {
+    return err.code === 'ENOENT' || err.code === 'ENOTDIR' || err.code === 'ENAMETOOLONG';
+}
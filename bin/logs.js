@@ -0,0 +1,164 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const prettyPrint           = require('./pretty-print');
+const util                  = require('./util');
+
+/**
+ * The log levels mapped to their severity.
+ * @type {{trace: number, debug: number, info: number, warn: number, error: number}}
+ */
+exports.levels = {
+    trace: 10,
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50
+};
+
+/**
+ * Determine if a log event at one level should be produced for a minimum level. Events without a level are
+ * treated as debug events.
+ * @param {string} [level='debug'] The level of the log event.
+ * @param {string} minimum The minimum level to produce.
+ * @returns {boolean}
+ */
+exports.enabled = function(level, minimum) {
+    return exports.levels[level || 'debug'] >= exports.levels[minimum];
+};
+
+/**
+ * @typedef {object} LogEntry
+ * @property {number} duration The number of milliseconds that the request took.
+ * @property {Array<{category: string, type: string, data: string, level: string, timestamp: number}>} events
+ * @property {string} id The request ID.
+ * @property {string} method
+ * @property {number} start The time that the request started, in milliseconds since the epoch.
+ * @property {ResponseState} state
+ * @property {number} statusCode
+ * @property {string} url
+ */
+
+/**
+ * The built in formatters. Each formatter takes a log entry and produces one or more lines.
+ * @type {Object<string,function(LogEntry):string[]>}
+ */
+exports.formatters = {
+    json: json,
+    'ndjson-per-event': ndjsonPerEvent,
+    pretty: pretty
+};
+
+/**
+ * Get the function that receives the log entry for each completed request.
+ * @param {boolean|string|function|{write: function, format: string|function}|object} logs The logs configuration.
+ * A function is a transport that receives the log entry. An object with a write function receives each formatted line
+ * using its format, which defaults to 'json'. A string is the name of a built in formatter whose lines are written
+ * to the console. Any other truthy value uses the 'pretty' formatter.
+ * @returns {function(LogEntry)|null}
+ * @throws {Error}
+ */
+exports.transport = function(logs) {
+    if (!logs) return null;
+    if (typeof logs === 'function') return logs;
+
+    if (typeof logs === 'object' && typeof logs.write === 'function') {
+        const format = formatter(logs.hasOwnProperty('format') ? logs.format : 'json');
+        return entry => format(entry).forEach(line => logs.write(line + '\n'));
+    }
+
+    const format = formatter(typeof logs === 'string' ? logs : 'pretty');
+    return entry => format(entry).forEach(line => console.log(line));
+};
+
+/**
+ * Get a formatter by name or validate a formatter function.
+ * @param {string|function} format
+ * @returns {function(LogEntry):string[]}
+ * @throws {Error}
+ */
+function formatter(format) {
+    if (typeof format === 'function') return entry => [].concat(format(entry));
+    if (exports.formatters.hasOwnProperty(format)) return exports.formatters[format];
+
+    const err = Error('Invalid log format specified: ' + format);
+    err.code = 'ESLOGS';
+    throw err;
+}
+
+/**
+ * Format the request as a single JSON line.
+ * @param {LogEntry} entry
+ * @returns {string[]}
+ */
+function json(entry) {
+    return [JSON.stringify({
+        id: entry.id,
+        method: entry.method,
+        url: entry.url,
+        statusCode: entry.statusCode,
+        start: new Date(entry.start).toISOString(),
+        duration: entry.duration,
+        events: entry.events.map(event => ({
+            category: event.category,
+            type: event.type,
+            level: event.level || 'debug',
+            data: event.data,
+            elapsed: event.timestamp - entry.start
+        }))
+    })];
+}
+
+/**
+ * Format each request event as its own JSON line.
+ * @param {LogEntry} entry
+ * @returns {string[]}
+ */
+function ndjsonPerEvent(entry) {
+    return entry.events.map(event => JSON.stringify({
+        id: entry.id,
+        method: entry.method,
+        url: entry.url,
+        statusCode: entry.statusCode,
+        category: event.category,
+        type: event.type,
+        level: event.level || 'debug',
+        data: event.data,
+        timestamp: new Date(event.timestamp).toISOString(),
+        elapsed: event.timestamp - entry.start
+    }));
+}
+
+/**
+ * Format the request as a human readable block.
+ * @param {LogEntry} entry
+ * @returns {string[]}
+ */
+function pretty(entry) {
+    const events = entry.events.map((event, index) => {
+        const previous = index > 0 ? entry.events[index - 1].timestamp : entry.start;
+        const seconds = util.seconds(event.timestamp - previous);
+        return '[+' + seconds + 's] ' + event.category + ':' + event.type + ' ' + event.data;
+    });
+    return [entry.statusCode + ' ' + entry.method + ' ' + entry.url +
+        (entry.statusCode === 302 ? '\n  Redirect To: ' + entry.state.headers['location']  : '') +
+        '\n  ID: ' + entry.id +
+        '\n  Start: ' + new Date(entry.start).toISOString() +
+        '\n  Duration: ' + prettyPrint.seconds(entry.duration) +
+        '\n  Events:\n    ' +
+        events.join('\n    ')];
+}
@@ -0,0 +1,161 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+
+// the default histogram bucket upper bounds, in seconds
+const defaultBuckets = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+module.exports = Metrics;
+
+/**
+ * Create a collector for request and hook duration histograms.
+ * @param {object} [options]
+ * @param {number[]} [options.buckets] The histogram bucket upper bounds, in seconds.
+ * @returns {Metrics}
+ * @constructor
+ */
+function Metrics(options) {
+    options = Object.assign({ buckets: defaultBuckets }, options);
+    const buckets = options.buckets.concat().sort((a, b) => a - b);
+    if (!buckets.length || buckets.some(bucket => typeof bucket !== 'number' || isNaN(bucket))) {
+        const err = Error('Metrics buckets must be a non-empty array of numbers. Received: ' + options.buckets);
+        err.code = 'ESMETRICS';
+        throw err;
+    }
+
+    this.buckets = buckets;
+    this.histograms = {
+        hook: {
+            help: 'The duration of each hook in seconds.',
+            labels: ['type', 'name', 'weight'],
+            name: 'sans_server_hook_duration_seconds',
+            series: new Map()
+        },
+        request: {
+            help: 'The duration of each request in seconds.',
+            labels: ['method', 'status', 'route'],
+            name: 'sans_server_request_duration_seconds',
+            series: new Map()
+        }
+    };
+}
+
+/**
+ * Record the duration of a hook.
+ * @param {{name: string, type: string, weight: number, duration: number}} hook The hook information, with the
+ * duration in milliseconds.
+ */
+Metrics.prototype.observeHook = function(hook) {
+    observe(this, 'hook', [hook.type, hook.name, String(hook.weight)], hook.duration / 1000);
+};
+
+/**
+ * Record the duration of a request.
+ * @param {string} method
+ * @param {number} status
+ * @param {string} route The route pattern that handled the request, or an empty string.
+ * @param {number} duration The duration in milliseconds.
+ */
+Metrics.prototype.observeRequest = function(method, status, route, duration) {
+    observe(this, 'request', [method, String(status), route], duration / 1000);
+};
+
+/**
+ * Get the metrics in the Prometheus text exposition format.
+ * @returns {string}
+ */
+Metrics.prototype.prometheus = function() {
+    const lines = [];
+    ['request', 'hook'].forEach(key => {
+        const histogram = this.histograms[key];
+        lines.push('# HELP ' + histogram.name + ' ' + histogram.help);
+        lines.push('# TYPE ' + histogram.name + ' histogram');
+        histogram.series.forEach(series => {
+            const labels = histogram.labels.map((label, index) => label + '="' + escape(series.labels[index]) + '"');
+            series.counts.forEach((count, index) => {
+                const le = index < this.buckets.length ? String(this.buckets[index]) : '+Inf';
+                lines.push(histogram.name + '_bucket{' + labels.concat('le="' + le + '"').join(',') + '} ' + count);
+            });
+            lines.push(histogram.name + '_sum{' + labels.join(',') + '} ' + series.sum);
+            lines.push(histogram.name + '_count{' + labels.join(',') + '} ' + series.count);
+        });
+    });
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Get a JSON snapshot of the metrics. Bucket counts are cumulative.
+ * @returns {{hooks: Array<object>, requests: Array<object>}}
+ */
+Metrics.prototype.snapshot = function() {
+    const snapshot = (histogram) => Array.from(histogram.series.values()).map(series => {
+        const labels = {};
+        histogram.labels.forEach((label, index) => labels[label] = series.labels[index]);
+        if (labels.hasOwnProperty('weight')) labels.weight = Number(labels.weight);
+        if (labels.hasOwnProperty('status')) labels.status = Number(labels.status);
+        return Object.assign(labels, {
+            buckets: series.counts.map((count, index) => ({
+                le: index < this.buckets.length ? this.buckets[index] : '+Inf',
+                count: count
+            })),
+            count: series.count,
+            sum: series.sum
+        });
+    });
+
+    return {
+        hooks: snapshot(this.histograms.hook),
+        requests: snapshot(this.histograms.request)
+    };
+};
+
+/**
+ * Add an observation to a histogram.
+ * @param {Metrics} metrics
+ * @param {string} key The histogram key.
+ * @param {string[]} labels The label values.
+ * @param {number} value
+ */
+function observe(metrics, key, labels, value) {
+    const series = metrics.histograms[key].series;
+    const id = JSON.stringify(labels);
+    if (!series.has(id)) {
+        series.set(id, {
+            count: 0,
+            counts: new Array(metrics.buckets.length + 1).fill(0),
+            labels: labels,
+            sum: 0
+        });
+    }
+
+    const item = series.get(id);
+    item.count++;
+    item.sum += value;
+    metrics.buckets.forEach((bucket, index) => {
+        if (value <= bucket) item.counts[index]++;
+    });
+    item.counts[metrics.buckets.length]++;
+}
+
+/**
+ * Escape a Prometheus label value.
+ * @param {string} value
+ * @returns {string}
+ */
+function escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
@@ -0,0 +1,161 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+
+const shorthand = {
+    css: 'text/css',
+    csv: 'text/csv',
+    html: 'text/html',
+    js: 'application/javascript',
+    json: 'application/json',
+    png: 'image/png',
+    text: 'text/plain',
+    txt: 'text/plain',
+    xml: 'application/xml'
+};
+
+/**
+ * Get the encodings that are acceptable, ordered by preference. Encodings of equal quality are ordered by the available
+ * encodings because the order of the Accept-Encoding header does not indicate a preference.
+ * @param {string} [header] The Accept-Encoding header value.
+ * @param {string[]} [available] The encodings to choose from. If omitted then the accepted encodings are returned.
+ * @returns {string[]}
+ */
+exports.encodings = function(header, available) {
+    const accepted = parse(header);
+    if (!available) return preferred(accepted);
+
+    // identity is acceptable unless explicitly excluded
+    if (header !== undefined && !accepted.some(a => a.value === 'identity' || a.value === '*')) {
+        accepted.push({ index: accepted.length, q: 0.001, value: 'identity' });
+    }
+
+    return negotiate(header, accepted, available, true, (accept, value) => {
+        if (accept.value === value) return 2;
+        if (accept.value === '*') return 1;
+        return 0;
+    });
+};
+
+/**
+ * Get the languages that are acceptable, ordered by preference.
+ * @param {string} [header] The Accept-Language header value.
+ * @param {string[]} [available] The languages to choose from. If omitted then the accepted languages are returned.
+ * @returns {string[]}
+ */
+exports.languages = function(header, available) {
+    const accepted = parse(header);
+    if (!available) return preferred(accepted);
+
+    return negotiate(header, accepted, available, false, (accept, value) => {
+        if (accept.value === value) return 3;
+        if (value.indexOf(accept.value + '-') === 0) return 2;
+        if (accept.value === '*') return 1;
+        return 0;
+    });
+};
+
+/**
+ * Get the media types that are acceptable, ordered by preference.
+ * @param {string} [header] The Accept header value.
+ * @param {string[]} [available] The media types to choose from. Shorthand values like 'json' or 'html' are allowed.
+ * If omitted then the accepted media types are returned.
+ * @returns {string[]}
+ */
+exports.mediaTypes = function(header, available) {
+    if (header === '') header = undefined;
+    const accepted = parse(header);
+    if (!available) return preferred(accepted);
+
+    return negotiate(header, accepted, available.map(exports.mediaType), false, (accept, value) => {
+        const a = accept.value.split('/');
+        const v = value.split('/');
+        if (a[0] === v[0] && a[1] === v[1]) return 3;
+        if (a[0] === v[0] && a[1] === '*') return 2;
+        if (a[0] === '*' && a[1] === '*') return 1;
+        return 0;
+    }).map(type => available[available.map(exports.mediaType).indexOf(type)]);
+};
+
+/**
+ * Expand a shorthand media type like 'json' into its full media type.
+ * @param {string} type
+ * @returns {string}
+ */
+exports.mediaType = function(type) {
+    const value = String(type).toLowerCase();
+    return shorthand.hasOwnProperty(value) ? shorthand[value] : value.split(';')[0].trim();
+};
+
+/**
+ * Determine which of the available values are acceptable and order them by quality, then by the order of the
+ * accept header, then by the order they were made available.
+ * @param {string} [header]
+ * @param {Array<{value: string, q: number, index: number}>} accepted
+ * @param {string[]} available
+ * @param {boolean} availableFirst Whether to order by the available order before the accept header order.
+ * @param {function} specificity
+ * @returns {string[]}
+ */
+function negotiate(header, accepted, available, availableFirst, specificity) {
+    if (header === undefined) return available.concat();
+
+    return available
+        .map((value, order) => {
+            const v = value.toLowerCase();
+            let best = null;
+            let bestScore = 0;
+            accepted.forEach(accept => {
+                const score = specificity(accept, v);
+                if (score > bestScore) {
+                    best = accept;
+                    bestScore = score;
+                }
+            });
+            return best ? { index: best.index, order: order, q: best.q, value: value } : null;
+        })
+        .filter(item => item && item.q > 0)
+        .sort((a, b) => b.q - a.q || (availableFirst
+            ? a.order - b.order || a.index - b.index
+            : a.index - b.index || a.order - b.order))
+        .map(item => item.value);
+}
+
+function parse(header) {
+    if (typeof header !== 'string') return [];
+    return header.split(',')
+        .map((part, index) => {
+            const params = part.split(';');
+            const result = { index: index, q: 1, value: params[0].trim().toLowerCase() };
+            params.slice(1).forEach(param => {
+                const kv = param.split('=');
+                if (kv[0].trim() === 'q') {
+                    const q = parseFloat(kv[1]);
+                    result.q = isNaN(q) ? 0 : Math.max(0, Math.min(1, q));
+                }
+            });
+            return result;
+        })
+        .filter(item => item.value.length > 0);
+}
+
+function preferred(accepted) {
+    return accepted
+        .filter(item => item.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(item => item.value);
+}
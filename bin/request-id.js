@@ -0,0 +1,131 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const crypto                = require('crypto');
+const shortId               = require('./uuid');
+const uuid                  = require('uuid').v4;
+
+// Crockford's base 32 alphabet used by ULIDs
+const crockford = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// incoming IDs must be printable ASCII without spaces so they are safe to log and echo
+const validId = /^[\x21-\x7e]{1,200}$/;
+
+// the previous ULID time and random digits, used to keep ULIDs sorted within the same millisecond
+const previous = { random: [], time: -1 };
+
+/**
+ * The built in request ID generators.
+ * @type {{short: function():string, ulid: function():string, uuid: function():string}}
+ */
+exports.generators = {
+    short: shortId,
+    ulid: ulid,
+    uuid: () => uuid()
+};
+
+/**
+ * Validate and normalize the request ID configuration.
+ * @param {object} [requestId]
+ * @param {string|function} [requestId.generator='short'] A built in generator name or a function that returns an ID.
+ * @param {string|string[]|boolean} [requestId.header=false] The trusted request header or headers to take the ID
+ * from. The first header with a valid value is used.
+ * @param {string|boolean} [requestId.responseHeader=false] The response header to echo the ID in.
+ * @returns {{generator: function():string, header: string[], responseHeader: string}}
+ * @throws {Error}
+ */
+exports.options = function(requestId) {
+    const options = Object.assign({ generator: 'short', header: false, responseHeader: false },
+        requestId && typeof requestId === 'object' ? requestId : {});
+
+    const generator = typeof options.generator === 'function'
+        ? options.generator
+        : exports.generators.hasOwnProperty(options.generator) ? exports.generators[options.generator] : null;
+    if (!generator) throw error('Invalid request ID generator specified: ' + options.generator);
+
+    const headers = options.header ? [].concat(options.header) : [];
+    headers.concat(options.responseHeader || []).forEach(header => {
+        if (typeof header !== 'string' || !/^[!#$%&'*+\-.^_`|~0-9a-z]+$/i.test(header)) {
+            throw error('Invalid request ID header specified: ' + header);
+        }
+    });
+
+    return {
+        generator: generator,
+        header: headers.map(header => header.toLowerCase()),
+        responseHeader: options.responseHeader || ''
+    };
+};
+
+/**
+ * Get the ID for a request from its trusted headers or from the generator.
+ * @param {{generator: function():string, header: string[]}} options The normalized request ID options.
+ * @param {object} [headers] The request headers as provided to the request.
+ * @returns {string}
+ */
+exports.id = function(options, headers) {
+    if (options.header.length && headers && typeof headers === 'object') {
+        const values = {};
+        Object.keys(headers).forEach(key => values[key.toLowerCase()] = headers[key]);
+
+        const length = options.header.length;
+        for (let i = 0; i < length; i++) {
+            const value = values[options.header[i]];
+            if (typeof value === 'string' && validId.test(value.trim())) return value.trim();
+        }
+    }
+    return String(options.generator());
+};
+
+/**
+ * Create an error for an invalid configuration.
+ * @param {string} message
+ * @returns {Error}
+ */
+function error(message) {
+    const err = Error(message);
+    err.code = 'ESID';
+    return err;
+}
+
+/**
+ * Generate a ULID, a 26 character ID that sorts by the time it was created. IDs created in the same millisecond
+ * increment the random part so that they also sort in the order they were created.
+ * @returns {string}
+ */
+function ulid() {
+    const time = Date.now();
+    let random = previous.random;
+
+    if (time === previous.time) {
+        let i = random.length - 1;
+        while (i >= 0 && random[i] === 31) random[i--] = 0;
+        if (i >= 0) random[i]++;
+    } else {
+        random = Array.from(crypto.randomBytes(16), byte => byte % 32);
+        previous.random = random;
+        previous.time = time;
+    }
+
+    let encoded = '';
+    let remaining = time;
+    for (let i = 0; i < 10; i++) {
+        encoded = crockford[remaining % 32] + encoded;
+        remaining = Math.floor(remaining / 32);
+    }
+    return encoded + random.map(digit => crockford[digit]).join('');
+}
@@ -0,0 +1,166 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const EventEmitter          = require('events');
+
+module.exports = EventStream;
+
+/**
+ * Create a server-sent events stream that writes to a response body stream. The stream is closed when
+ * {@link EventStream#close} is called, when the body stream ends, or when the request is aborted, which includes
+ * the client disconnecting.
+ * @param {Response} res
+ * @param {stream.Writable} writer The response body stream.
+ * @param {object} options
+ * @param {number} options.heartbeat The number of seconds between heartbeat comments. Zero disables heartbeats.
+ * @returns {EventStream}
+ * @constructor
+ * @augments {EventEmitter}
+ */
+function EventStream(res, writer, options) {
+    EventEmitter.call(this);
+
+    const signal = res.req.signal;
+    let closed = false;
+    let heartbeat;
+
+    /**
+     * Whether the stream has been closed.
+     * @name EventStream#closed
+     * @type {boolean}
+     */
+    Object.defineProperty(this, 'closed', {
+        enumerable: true,
+        get: () => closed
+    });
+
+    /**
+     * Close the stream. The close event fires once, however the stream was closed.
+     * @name EventStream#close
+     * @returns {EventStream}
+     */
+    this.close = () => {
+        if (!closed) {
+            closed = true;
+            clearInterval(heartbeat);
+            signal.removeEventListener('abort', onAbort);
+            if (!writer.writableEnded) writer.end();
+            res.log('sse', 'Closed');
+            this.emit('close');
+        }
+        return this;
+    };
+
+    /**
+     * Write text to the stream if it is open.
+     * @name EventStream#write
+     * @param {string} text
+     * @returns {boolean} Whether the text was written.
+     * @private
+     */
+    this.write = text => {
+        if (closed) {
+            res.log.debug('sse', 'Stream closed, message not sent');
+            return false;
+        }
+        writer.write(text);
+        return true;
+    };
+
+    const onAbort = () => {
+        res.log('sse', 'Request aborted');
+        this.close();
+    };
+
+    if (signal.aborted) {
+        closed = true;
+        writer.end();
+    } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+        writer.on('close', () => this.close());
+        writer.on('finish', () => this.close());
+        if (options.heartbeat > 0) {
+            heartbeat = setInterval(() => this.comment(), options.heartbeat * 1000);
+            heartbeat.unref();
+        }
+    }
+}
+
+EventStream.prototype = Object.create(EventEmitter.prototype);
+EventStream.prototype.name = 'EventStream';
+EventStream.prototype.constructor = EventStream;
+
+/**
+ * Write a comment. Comments are ignored by clients and keep idle connections open.
+ * @param {string} [text='']
+ * @returns {EventStream}
+ */
+EventStream.prototype.comment = function(text) {
+    const lines = text ? String(text).split(/\r\n|\r|\n/) : [''];
+    this.write(lines.map(line => ':' + (line ? ' ' + line : '')).join('\n') + '\n\n');
+    return this;
+};
+
+/**
+ * Send an event. Messages sent after the stream has closed are ignored.
+ * @param {object|string} message The event fields, or the data if a string.
+ * @param {*} [message.data] The event data. Values that are not strings are converted to JSON.
+ * @param {string} [message.event] The event type.
+ * @param {string} [message.id] The event ID.
+ * @param {number} [message.retry] The number of milliseconds a client should wait before reconnecting.
+ * @returns {EventStream}
+ * @throws {Error}
+ */
+EventStream.prototype.send = function(message) {
+    if (typeof message !== 'object' || message === null) message = { data: message };
+
+    let text = '';
+    if (message.event !== undefined) text += 'event: ' + field('event', message.event) + '\n';
+    if (message.id !== undefined) text += 'id: ' + field('id', message.id) + '\n';
+    if (message.retry !== undefined) {
+        if (!Number.isInteger(message.retry) || message.retry < 0) {
+            const err = Error('Event retry must be a non-negative integer. Received: ' + message.retry);
+            err.code = 'ERSSE';
+            throw err;
+        }
+        text += 'retry: ' + message.retry + '\n';
+    }
+    if (message.data !== undefined) {
+        const data = typeof message.data === 'string' ? message.data : JSON.stringify(message.data);
+        text += data.split(/\r\n|\r|\n/).map(line => 'data: ' + line).join('\n') + '\n';
+    }
+
+    if (text) this.write(text + '\n');
+    return this;
+};
+
+/**
+ * Validate a single line event field.
+ * @param {string} name
+ * @param {*} value
+ * @returns {string}
+ * @throws {Error}
+ */
+function field(name, value) {
+    const result = String(value);
+    if (/[\r\n\0]/.test(result)) {
+        const err = Error('Event ' + name + ' cannot contain line breaks or null characters.');
+        err.code = 'ERSSE';
+        throw err;
+    }
+    return result;
+}
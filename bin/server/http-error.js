@@ -0,0 +1,96 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const httpStatus            = require('http-status');
+
+module.exports = HttpError;
+
+/**
+ * Create an error that produces a response with a specific status code when it is thrown, passed to next, or set
+ * as the response body.
+ * @param {number} statusCode A status code from 400 to 599.
+ * @param {string} [message] The error message. Defaults to the status code's message.
+ * @param {object} [details] Additional details. When errors are rendered as problem+json these are added as
+ * extension members and can also override the type and title.
+ * @returns {HttpError}
+ * @constructor
+ * @augments {Error}
+ */
+function HttpError(statusCode, message, details) {
+    if (!(this instanceof HttpError)) return new HttpError(statusCode, message, details);
+
+    if (!Number.isInteger(statusCode) || statusCode < 400 || statusCode > 599) {
+        const err = Error('HTTP error status code must be an integer from 400 to 599. Received: ' + statusCode);
+        err.code = 'ESERROR';
+        throw err;
+    }
+
+    Error.call(this);
+    Error.captureStackTrace(this, HttpError);
+
+    /**
+     * Additional details for the error.
+     * @name HttpError#details
+     * @type {object}
+     */
+    this.details = details && typeof details === 'object' ? details : {};
+
+    /**
+     * Whether the message can be shown to the client. This is true for 4xx status codes.
+     * @name HttpError#expose
+     * @type {boolean}
+     */
+    this.expose = statusCode < 500;
+
+    this.message = typeof message === 'string' && message.length ? message : httpStatus[statusCode];
+
+    /**
+     * The response status code.
+     * @name HttpError#statusCode
+     * @type {number}
+     */
+    this.statusCode = statusCode;
+}
+
+HttpError.prototype = Object.create(Error.prototype);
+HttpError.prototype.name = 'HttpError';
+HttpError.prototype.constructor = HttpError;
+
+/**
+ * Set the response status, headers, and body to represent an error. HttpError instances produce their status code
+ * and all other values produce a 500.
+ * @param {Response} res
+ * @param {*} err
+ * @param {string} [format='text'] Either 'text' or 'problem+json'.
+ * @returns {Response}
+ */
+HttpError.render = function(res, err, format) {
+    const isHttpError = err instanceof HttpError;
+    const statusCode = isHttpError ? err.statusCode : 500;
+    const detail = isHttpError && err.expose ? err.message : httpStatus[statusCode];
+
+    res.status(statusCode);
+    if (format === 'problem+json') {
+        const problem = Object.assign({ type: 'about:blank', title: httpStatus[statusCode] },
+            isHttpError ? err.details : {},
+            { status: statusCode, detail: detail, instance: res.req.id });
+        res.set('content-type', 'application/problem+json').body(JSON.stringify(problem));
+    } else {
+        res.set('content-type', 'text/plain').body(detail);
+    }
+    return res;
+};
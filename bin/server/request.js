@@ -15,13 +15,21 @@
  *    limitations under the License.
  **/
 'use strict';
+const conditional           = require('../hooks/conditional');
+const Cookie                = require('cookie');
 const Debug                 = require('debug');
 const EventEmitter          = require('events');
-const httpStatus            = require('http-status');
+const HttpError             = require('./http-error');
+const logs                  = require('../logs');
 const Middleware            = require('sans-server-middleware');
+const negotiate             = require('../negotiate');
+const performance           = require('perf_hooks').performance;
+const requestId             = require('../request-id');
 const Response              = require('./response');
 const util                  = require('../util');
-const uuid                  = require('../uuid');
+
+// the hook that is currently running for each request
+const running = new WeakMap();
 
 module.exports = Request;
 
@@ -29,17 +37,25 @@ module.exports = Request;
  * Generate a request instance.
  * @param {SansServer} server
  * @param {object} keys
- * @param {boolean} rejectable
+ * @param {object} options The server configuration.
+ * @param {boolean} options.rejectable
+ * @param {string[]} options.cookieSecret
+ * @param {string} options.errorFormat
+ * @param {string} options.logLevel
+ * @param {{generator: function, header: string[], responseHeader: string}} options.requestId
+ * @param {number} options.timeout
  * @param {string|Object} [config] A string representing the path or a configuration representing all properties
  * to accompany the request.
+ * @param {function} [onLog] A listener for log events that is added before any are produced.
  * @returns {Request}
  * @constructor
  * @augments {EventEmitter}
  * @augments {Promise}
  */
-function Request(server, keys, rejectable, config) {
+function Request(server, keys, options, config, onLog) {
     if (!config) config = {};
     if (typeof config !== 'object') config = { path: config };
+    if (onLog) this.on('log', onLog);
 
     const promise = new Promise((resolve, reject) => {
         let fulfilled = false;
@@ -54,31 +70,67 @@ function Request(server, keys, rejectable, config) {
             }
         });
 
+        let handlingError = false;
+
+        function fail(err) {
+
+            // HTTP errors are sent like any other response so that the response hooks run
+            if (err instanceof HttpError && !res.sent) {
+                HttpError.render(res.reset(), err, req.errorFormat).send();
+                return;
+            }
+
+            fulfilled = true;
+            HttpError.render(res.reset(), err, req.errorFormat);
+            req.log('fulfilled');
+            if (options.rejectable && !(err instanceof HttpError)) {
+                reject(err);
+            } else {
+                resolve(res.state);
+            }
+        }
+
         this.on('error', err => {
-            req.log('error', err.stack.replace(/\n/g, '\n  '));
+            req.log.error('error', err && err.stack ? err.stack.replace(/\n/g, '\n  ') : err);
             if (fulfilled) {
                 req.log('fulfilled', 'Already fulfilled');
-            } else {
-                fulfilled = true;
-                res.reset().set('content-type', 'text/plain').status(500).body(httpStatus[500]);
-                req.log('fulfilled');
-                if (rejectable) {
-                    reject(err);
-                } else {
-                    resolve(res.state);
-                }
+                return;
+            } else if (handlingError) {
+                return fail(err);
             }
+
+            // give the error hooks a chance to produce a response
+            handlingError = true;
+            const sent = res.sent;
+            runErrorHooks(req, hooks, err)
+                .then(result => {
+                    if (fulfilled) return;
+                    if (!result.handled) return fail(result.error);
+
+                    req.log('error-handled');
+                    if (!res.sent) {
+                        res.send();
+                    } else if (sent) {
+                        fulfilled = true;
+                        req.log('fulfilled');
+                        resolve(res.state);
+                    }
+                });
         });
     });
 
     // initialize variables
-    const id = uuid();
+    const controller = new AbortController();
+    const id = requestId.id(options.requestId, config.headers);
     const hooks = {};
     const req = this;
-    const res = new Response(this, keys.response);
+    let logLevel = options.logLevel;
+    let timeoutId = null;
+    const res = new Response(this, keys.response, options);
 
     /**
-     * Get the unique ID associated with this request.
+     * Get the unique ID associated with this request. It comes from a trusted request header when the server's
+     * requestId configuration names one, otherwise it is generated.
      * @name Request#id
      * @type {string}
      * @readonly
@@ -89,6 +141,40 @@ function Request(server, keys, rejectable, config) {
         value: id
     });
 
+    /**
+     * Get or set the minimum level of log events to produce for this request. Setting this to a more verbose level
+     * than the server's logLevel makes it possible to debug specific requests.
+     * @name Request#logLevel
+     * @type {string} One of: 'trace', 'debug', 'info', 'warn', 'error'
+     * @throws {Error}
+     */
+    Object.defineProperty(this, 'logLevel', {
+        configurable: false,
+        enumerable: true,
+        get: () => logLevel,
+        set: value => {
+            if (!logs.levels.hasOwnProperty(value)) {
+                const err = Error('Invalid log level specified: ' + value);
+                err.code = 'ESLOGS';
+                throw err;
+            }
+            logLevel = value;
+        }
+    });
+
+    /**
+     * Get the signal that is aborted when the request times out, when {@link Request#abort} is called, or when the
+     * client disconnects.
+     * @name Request#signal
+     * @type {AbortSignal}
+     * @readonly
+     */
+    Object.defineProperty(this, 'signal', {
+        configurable: false,
+        enumerable: true,
+        value: controller.signal
+    });
+
     /**
      * Get the response object that is tied to this request.
      * @name Request#res
@@ -123,6 +209,64 @@ function Request(server, keys, rejectable, config) {
         get: () => this.path + buildQueryString(this.query)
     });
 
+    // echo the ID in the response, including after the response is reset
+    if (options.requestId.responseHeader) {
+        res.set(options.requestId.responseHeader, id);
+        this.on('res-reset', () => res.set(options.requestId.responseHeader, id));
+    }
+
+    /**
+     * Abort the request. Hooks that have not yet been called are skipped and the request signal is aborted. If the
+     * response has not been sent after the request hooks then a 503 response is sent.
+     * @name Request#abort
+     * @param {*} [reason] The reason for aborting. Defaults to an Error with code ERABORT.
+     * @returns {Request}
+     */
+    this.abort = reason => {
+        if (!controller.signal.aborted) {
+            if (reason === undefined) {
+                reason = Error('Request aborted');
+                reason.code = 'ERABORT';
+            }
+            req.log.warn('abort', reason && reason.message ? reason.message : reason);
+            controller.abort(reason);
+        }
+        return this;
+    };
+
+    /**
+     * Set the number of milliseconds from now until the request times out, replacing any previous deadline. When the
+     * deadline passes the request is aborted and a 504 response is sent if a response has not already been sent.
+     * @name Request#setTimeout
+     * @param {number} milliseconds The number of milliseconds to wait. Use zero to disable the timeout.
+     * @returns {Request}
+     * @throws {Error}
+     */
+    this.setTimeout = milliseconds => {
+        if (typeof milliseconds !== 'number' || isNaN(milliseconds) || milliseconds < 0) {
+            const err = Error('Timeout must be a non-negative number of milliseconds. Received: ' + milliseconds);
+            err.code = 'ERTIMER';
+            throw err;
+        }
+
+        clearTimeout(timeoutId);
+        timeoutId = null;
+        if (milliseconds > 0 && !res.sent) {
+            req.log.debug('set-timeout', milliseconds + 'ms');
+            timeoutId = setTimeout(() => {
+                const hook = running.get(req);
+                req.log.warn('timeout', 'Exceeded ' + milliseconds + 'ms ' +
+                    (hook ? 'while running ' + hook.type + ' hook ' + hook.name : 'while no hook was running'));
+
+                const err = Error('Request timed out');
+                err.code = 'ERTIMEOUT';
+                req.abort(err);
+                if (!res.sent) res.sendStatus(504);
+            }, milliseconds);
+        }
+        return this;
+    };
+
     /**
      * Add a rejection handler to the request promise.
      * @name Request#catch
@@ -132,7 +276,8 @@ function Request(server, keys, rejectable, config) {
     this.catch = onRejected => promise.catch(onRejected);
 
     /**
-     * Produce a request log event.
+     * Produce a request log event at the info level. Use log.trace, log.debug, log.info, log.warn, or log.error to
+     * produce an event at a specific level.
      * @param {string} message
      * @param {...*} [args]
      * @returns {Request}
@@ -140,6 +285,24 @@ function Request(server, keys, rejectable, config) {
      */
     this.log = this.logger('sans-server', 'request', this);
 
+    // stop the timeout once the response is sent or the request is fulfilled without sending, as with errors
+    const stopTimeout = () => {
+        clearTimeout(timeoutId);
+        timeoutId = null;
+    };
+    this.on('res-send', stopTimeout);
+    promise.then(stopTimeout, stopTimeout);
+
+    // set the request log level before any input warnings are logged
+    if (config.hasOwnProperty('logLevel')) {
+        if (logs.levels.hasOwnProperty(config.logLevel)) {
+            logLevel = config.logLevel;
+        } else {
+            req.log.warn('warning Request log level expected one of: ' + Object.keys(logs.levels).join(', ') +
+                '. Received: ' + config.logLevel);
+        }
+    }
+
     /**
      * Add request specific hooks
      * @param {string} type
@@ -180,6 +343,12 @@ function Request(server, keys, rejectable, config) {
      * @type {string|Object|Buffer|undefined}
      */
 
+    /**
+     * The request cookies parsed from the Cookie header. Signed cookies are not included.
+     * @name Request#cookies
+     * @type {Object<string,string>}
+     */
+
     /**
      * The request headers. This is an object that has lower-case keys and string values.
      * @name Request#headers
@@ -204,16 +373,46 @@ function Request(server, keys, rejectable, config) {
      * @type {object<string,string>}
      */
 
+    /**
+     * The signed request cookies whose signatures were verified, with the signatures removed.
+     * @name Request#signedCookies
+     * @type {Object<string,string>}
+     */
+
+    /**
+     * The format used for error responses, either 'text' or 'problem+json'. Defaults to the server's errorFormat.
+     * @name Request#errorFormat
+     * @type {string}
+     */
+    this.errorFormat = options.errorFormat;
+
     // validate and normalize input
-    Object.assign(this, config, normalize(req, config));
+    const input = Object.assign({}, config);
+    delete input.logLevel;
+    delete input.timeout;
+    Object.assign(this, input, normalize(req, config));
+
+    // determine the timeout from the request or the server configuration
+    let timeout = options.timeout;
+    if (config.hasOwnProperty('timeout')) {
+        if (typeof config.timeout === 'number' && config.timeout >= 0) {
+            timeout = config.timeout;
+        } else {
+            req.log.warn('warning Request timeout expected a non-negative number. Received: ' + config.timeout);
+        }
+    }
+    Object.assign(this, parseCookies(this.headers.cookie, options.cookieSecret));
 
     // wait one tick for any event listeners to be added
     process.nextTick(() => {
+        if (timeout) this.setTimeout(Math.round(timeout * 1000));
 
         // run request hooks
         this.hook.run(keys.request)
             .then(() => {
-                if (!res.sent) {
+                if (!res.sent && controller.signal.aborted) {
+                    res.sendStatus(503);
+                } else if (!res.sent) {
                     req.log('unhandled', 'request not handled');
                     if (res.state.statusCode === 0) {
                         res.sendStatus(404);
@@ -232,22 +431,85 @@ Request.prototype = Object.create(EventEmitter.prototype);
 Request.prototype.name = 'Request';
 Request.prototype.constructor = Request;
 
+/**
+ * Get the best match for the Accept header from the media types provided, or false if none are acceptable. If no
+ * media types are provided then get all accepted media types ordered by preference.
+ * @param {...string|string[]} [type] A media type or shorthand like 'json' or 'html'.
+ * @returns {string|boolean|string[]}
+ */
+Request.prototype.accepts = function(type) {
+    return accepts(negotiate.mediaTypes, this.headers['accept'], arguments);
+};
+
+/**
+ * Get the best match for the Accept-Encoding header from the encodings provided, or false if none are acceptable.
+ * If no encodings are provided then get all accepted encodings ordered by preference.
+ * @param {...string|string[]} [encoding]
+ * @returns {string|boolean|string[]}
+ */
+Request.prototype.acceptsEncodings = function(encoding) {
+    return accepts(negotiate.encodings, this.headers['accept-encoding'], arguments);
+};
+
+/**
+ * Get the best match for the Accept-Language header from the languages provided, or false if none are acceptable.
+ * If no languages are provided then get all accepted languages ordered by preference.
+ * @param {...string|string[]} [language]
+ * @returns {string|boolean|string[]}
+ */
+Request.prototype.acceptsLanguages = function(language) {
+    return accepts(negotiate.languages, this.headers['accept-language'], arguments);
+};
+
+/**
+ * Produce a logging function that emits log events at the info level. The function also has trace, debug, info,
+ * warn, and error functions for producing log events at those levels. Log events below the request's log level
+ * are not produced.
+ * @param {string} category
+ * @param {string} type
+ * @param {*} [returnValue] The value for the logging function to return.
+ * @returns {function}
+ */
 Request.prototype.logger = function(category, type, returnValue) {
     const req = this;
     const debug = Debug(category + ':' + type);
-    return function(message, args) {
-        const data = util.format(arguments);
+
+    function log(level, args) {
+        if (!logs.enabled(level, req.logLevel)) return returnValue;
+        const data = util.format(args);
 
         req.emit('log', {
             category: category,
             type: type,
             data: data,
+            level: level,
             timestamp: Date.now()
         });
 
         debug(req.id + ' ' + data);
         return returnValue;
     }
+
+    const logger = function(message, args) {
+        return log('info', arguments);
+    };
+    Object.keys(logs.levels).forEach(level => {
+        logger[level] = function(message, args) {
+            return log(level, arguments);
+        };
+    });
+    return logger;
+};
+
+/**
+ * Determine if the request's If-Match, If-Unmodified-Since, or If-None-Match preconditions fail for the current state
+ * of a resource. Call this before changing the resource and send a 412 if it returns true.
+ * @param {string} [etag] The current ETag of the resource, or undefined if the resource does not exist.
+ * @param {Date|number|string} [lastModified] When the resource was last modified.
+ * @returns {boolean}
+ */
+Request.prototype.preconditionFailed = function(etag, lastModified) {
+    return conditional.preconditionFailed(this, etag, lastModified);
 };
 
 /**
@@ -291,6 +553,13 @@ function addHook(hooks, type, weight, hook) {
     return this;
 }
 
+function accepts(negotiator, header, args) {
+    const available = Array.isArray(args[0]) ? args[0] : Array.from(args);
+    if (available.length === 0) return negotiator(header);
+    const matches = negotiator(header, available);
+    return matches.length ? matches[0] : false;
+}
+
 function buildQueryString(query) {
     const results = Object.keys(query).reduce(function(ar, key) {
         const value = query[key];
@@ -324,7 +593,7 @@ function normalize(req, config) {
     const normal = {};
 
     function warn(message, actual) {
-        req.log('warning %s Received: %s', message, actual)
+        req.log.warn('warning %s Received: %s', message, actual)
     }
 
     // validate and normalize body
@@ -407,6 +676,140 @@ function normalize(req, config) {
     return normal;
 }
 
+function parseCookies(header, secrets) {
+    const result = { cookies: {}, signedCookies: {} };
+    if (!header) return result;
+
+    const parsed = Cookie.parse(header);
+    Object.keys(parsed).forEach(name => {
+        const value = parsed[name];
+        if (value.substr(0, 2) === 's:') {
+            const unsigned = util.unsign(value.substr(2), secrets);
+            if (unsigned !== false) result.signedCookies[name] = unsigned;
+        } else {
+            result.cookies[name] = value;
+        }
+    });
+    return result;
+}
+
+/**
+ * Run the error hooks for an error. Each hook receives the error and can handle it by sending a response or by
+ * calling next without an error. Calling next with an error passes that error to the next error hook.
+ * @param {Request} req
+ * @param {object} hooks
+ * @param {*} err
+ * @returns {Promise<{error: *, handled: boolean}>}
+ */
+function runErrorHooks(req, hooks, err) {
+    const res = req.res;
+    const sent = res.sent;
+    const result = { error: err, handled: false };
+    if (!hooks.error || hooks.error.length === 0) return Promise.resolve(result);
+
+    const middleware = new Middleware('error');
+    hooks.error.forEach(item => {
+        const hook = item.hook;
+        const wrapped = function(req, res, next) {
+            if (result.handled || (!sent && res.sent)) return next();
+            try {
+                hook(result.error, req, res, err => {
+                    if (err) {
+                        result.error = err;
+                    } else {
+                        result.handled = true;
+                    }
+                    next();
+                });
+            } catch (err) {
+                result.error = err;
+                next();
+            }
+        };
+        Object.defineProperty(wrapped, 'name', { value: hook.name });
+        middleware.add(item.weight, trackedHook(wrapped, item.weight, 'error', false));
+    });
+
+    return middleware.run(req, res)
+        .then(() => {
+            if (!sent && res.sent) result.handled = true;
+            return result;
+        });
+}
+
+/**
+ * Get a hook that measures how long it runs and tracks when it is running. An abortable hook is skipped if the request
+ * has been aborted. The hook keeps its name and the number of parameters so that the hook runner can identify it.
+ * @param {function} hook
+ * @param {number} weight
+ * @param {string} type The hook type.
+ * @param {boolean} abortable
+ * @returns {function}
+ * @fires Request#hook-start
+ * @fires Request#hook-end
+ */
+function trackedHook(hook, weight, type, abortable) {
+    const name = hook.name || 'anonymous';
+
+    function start(req, next) {
+        const previous = running.get(req);
+        const began = performance.now();
+        const info = { name: name, type: type, weight: weight, start: performance.timeOrigin + began };
+        let ended = false;
+        running.set(req, info);
+        req.emit('hook-start', info);
+
+        // a hook that sends the response might not call next, so sending also ends the hook
+        const onSend = () => end();
+        function end(err) {
+            if (ended) return;
+            ended = true;
+            req.removeListener('res-send', onSend);
+            if (previous) {
+                running.set(req, previous);
+            } else {
+                running.delete(req);
+            }
+            info.duration = performance.now() - began;
+            if (err) info.error = err;
+            req.emit('hook-end', info);
+        }
+        if (!req.res.sent) req.once('res-send', onSend);
+
+        return function(err) {
+            end(err);
+            next(err);
+        };
+    }
+
+    function skip(req) {
+        req.log.debug('skipped', name + ' Request aborted');
+    }
+
+    function call(context, req, args, next) {
+        const done = start(req, next);
+        try {
+            return hook.apply(context, args.concat([done]));
+        } catch (err) {
+            done(err);
+        }
+    }
+
+    const wrapped = hook.length >= 4
+        ? function(err, req, res, next) {
+            if (!abortable || !req.signal.aborted) return call(this, req, [err, req, res], next);
+            skip(req);
+            next(err);
+        }
+        : function(req, res, next) {
+            if (!abortable || !req.signal.aborted) return call(this, req, [req, res], next);
+            skip(req);
+            next();
+        };
+    Object.defineProperty(wrapped, 'name', { value: hook.name });
+    return wrapped;
+}
+
 function runHooksMode(req, hooks, mode, symbol, next) {
     let promise;
 
@@ -423,13 +826,25 @@ function runHooksMode(req, hooks, mode, symbol, next) {
         }
     }
 
-    // run the hooks
+    // run the hooks, stopping early if the request is aborted while they run
     if (hooks[type]) {
         const middleware = new Middleware(type);
+        const signal = req.signal;
+        const abortable = !signal.aborted;
         hooks[type].forEach(item => {
-            middleware.add(item.weight, item.hook);
+            middleware.add(item.weight, trackedHook(item.hook, item.weight, type, abortable));
         });
         promise = middleware[mode](req, req.res);
+        if (abortable) {
+            let onAbort;
+            const aborted = new Promise(resolve => {
+                onAbort = () => resolve();
+                signal.addEventListener('abort', onAbort, { once: true });
+            });
+            const stop = () => signal.removeEventListener('abort', onAbort);
+            promise.then(stop, stop);
+            promise = Promise.race([promise, aborted]);
+        }
     } else {
         promise = Promise.resolve();
     }
@@ -16,7 +16,10 @@
  **/
 'use strict';
 const Cookie                = require('cookie');
+const EventStream           = require('./event-stream');
 const httpStatus            = require('http-status');
+const negotiate             = require('../negotiate');
+const stream                = require('stream');
 const util                  = require('../util');
 
 module.exports = Response;
@@ -27,19 +30,24 @@ const STORE = Symbol('store');
  * Create a response instance.
  * @param {Request} request The request that is relying on this response that is being created.
  * @param {Symbol} key
+ * @param {object} options The server configuration.
+ * @param {string[]} options.cookieSecret
  * @returns {Response}
  * @constructor
  */
-function Response(request, key) {
+function Response(request, key, options) {
 
     // define private store
     const store = {
         body: '',
         cookies: [],
+        encoding: '',
         headers: {},
         key: key,
+        secrets: options.cookieSecret,
         sent: false,
-        statusCode: 0
+        statusCode: 0,
+        writer: null
     };
     this[STORE] = store;
 
@@ -88,7 +96,9 @@ function Response(request, key) {
             return {
                 body: store.body,
                 cookies: store.cookies.concat(),
-                headers: Object.assign({}, store.headers),
+                encoding: store.encoding,
+                headers: joinHeaders(store.headers),
+                multiValueHeaders: copyHeaders(store.headers),
                 rawHeaders: rawHeaders(store.headers, store.cookies),
                 statusCode: store.statusCode
             }
@@ -108,7 +118,8 @@ function Response(request, key) {
     });
 
     /**
-     * Produce a log event.
+     * Produce a log event at the info level. Use log.trace, log.debug, log.info, log.warn, or log.error to produce
+     * an event at a specific level.
      * @param {string} message
      * @param {...*} [arg]
      * @returns {Response}
@@ -117,20 +128,45 @@ function Response(request, key) {
     this.log = request.logger('sans-server', 'response', this);
 }
 
+/**
+ * Add a value to a header. If the header already has a value then the header will be sent once for each value.
+ * @name Response#append
+ * @param {string} key The header name.
+ * @param {string|string[]} value The value or values to add.
+ * @returns {Response}
+ * @throws {Error}
+ */
+Response.prototype.append = function(key, value) {
+    const values = validateHeader(key, value);
+    const headers = this[STORE].headers;
+
+    key = key.toLowerCase();
+    headers[key] = (headers[key] || []).concat(values);
+    this.log.debug('append-header %s:%s', key, values.join(', '));
+
+    this.req.emit('res-set-header', this);
+    this.req.emit('res-state-change', this);
+
+    return this;
+};
+
 /**
  * Set the response body. If an object is provided then it will be converted to JSON on send. If an Error instance
  * is provided then it will cause the response to produce a 500 error but it will log the error details.
  * @param {string|Buffer|object|Array} value
+ * @param {string} [encoding=''] The encoding of a string body, for example 'base64' when the string represents binary data.
  * @returns {Response}
  * @throws {Error}
  */
-Response.prototype.body = function(value) {
+Response.prototype.body = function(value, encoding) {
+    const store = this[STORE];
 
     // set body
-    this[STORE].body = value;
+    store.body = value;
+    store.encoding = typeof encoding === 'string' ? encoding : '';
 
     // produce log
-    this.log('set-body', truncateString(String(value)));
+    this.log.debug('set-body', truncateString(String(value)));
 
     this.req.emit('res-set-body', this);
     this.req.emit('res-state-change', this);
@@ -148,7 +184,7 @@ Response.prototype.body = function(value) {
  */
 Response.prototype.clearCookie = function(name, options) {
     const opts = Object.assign({}, options || {}, { expires: new Date(1) });    // expired
-    this.log('clear-cookie', name);
+    this.log.debug('clear-cookie', name);
     return this.cookie(name, '', opts);
 };
 
@@ -162,10 +198,10 @@ Response.prototype.clearHeader = function(key) {
     const headers = this[STORE].headers;
     key = key.toLowerCase();
     if (headers.hasOwnProperty(key)) {
-        const value = headers[key];
+        const value = headers[key].join(', ');
         delete headers[key];
 
-        this.log('clear-header %s:%s', key, value);
+        this.log.debug('clear-header %s:%s', key, value);
 
         this.req.emit('res-clear-header', this);
         this.req.emit('res-state-change', this);
@@ -178,7 +214,8 @@ Response.prototype.clearHeader = function(key) {
  * @name Response#cookie
  * @param {string} name The name of the cookie.
  * @param {string} value The value to set for the cookie.
- * @param {Object} [options={}]
+ * @param {Object} [options={}] The cookie options. Set the signed option to true to sign the cookie using the server's
+ * cookie secret.
  * @returns {Response}
  * @throws {Error}
  */
@@ -201,22 +238,88 @@ Response.prototype.cookie = function(name, value, options) {
         throw err;
     }
 
+    const secrets = this[STORE].secrets;
+    if (options && options.signed && secrets.length === 0) {
+        const err = Error('Signed cookies require the server to have a cookie secret.');
+        err.code = 'ERESC';
+        throw err;
+    }
+
     value = String(value);
+    const serializedValue = options && options.signed ? 's:' + util.sign(value, secrets[0]) : value;
     const cookie = {
         name: name,
         options: options,
-        serialized: Cookie.serialize(name, value, options || {}),
+        serialized: Cookie.serialize(name, serializedValue, options || {}),
         value: value
     };
     this[STORE].cookies.push(cookie);
 
-    this.log('set-cookie %s:%s', name, value);
+    this.log.debug('set-cookie %s:%s', name, value);
 
     this.req.emit('res-set-cookie', this);
     this.req.emit('res-state-change', this);
     return this;
 };
 
+/**
+ * End the response. If {@link Response#write} has been called then this ends the response stream, otherwise this
+ * is the same as calling {@link Response#send}.
+ * @name Response#end
+ * @param {string|Buffer} [chunk] A final chunk to write.
+ * @returns {Response}
+ * @throws {Error}
+ */
+Response.prototype.end = function(chunk) {
+    const writer = this[STORE].writer;
+    if (!writer) return arguments.length > 0 ? this.send(chunk) : this.send();
+
+    if (writer.writableEnded) {
+        if (ignoreAfterAbort(this, 'end')) return this;
+        const err = Error('Response stream already ended for ' + this.req.id);
+        err.code = 'ERSENT';
+        throw err;
+    }
+
+    this.log.debug('end-stream');
+    if (chunk !== undefined) {
+        writer.end(chunk);
+    } else {
+        writer.end();
+    }
+    return this;
+};
+
+/**
+ * Call the handler that best matches the request's Accept header. The handlers object maps media types (or shorthand
+ * like 'json') to functions that receive the request and response. The Content-Type is set to the matched media type
+ * and the Vary header includes Accept. If no media type is acceptable then the 'default' handler is called, or if
+ * there is no default handler a 406 response is sent.
+ * @name Response#format
+ * @param {Object<string,function>} handlers
+ * @returns {Response}
+ */
+Response.prototype.format = function(handlers) {
+    const req = this.req;
+    const types = Object.keys(handlers).filter(key => key !== 'default');
+    const type = types.length ? req.accepts(types) : false;
+
+    this.vary('Accept');
+    if (type) {
+        this.log('format', type);
+        this.set('Content-Type', negotiate.mediaType(type));
+        handlers[type].call(this, req, this);
+    } else if (typeof handlers.default === 'function') {
+        this.log('format', 'default');
+        handlers.default.call(this, req, this);
+    } else {
+        this.log('format', 'Not acceptable');
+        this.sendStatus(406);
+    }
+
+    return this;
+};
+
 /**
  * Redirect the client to a new URL.
  * @name Response#redirect
@@ -244,10 +347,11 @@ Response.prototype.reset = function() {
 
     store.body = '';
     store.cookies = [];
+    store.encoding = '';
     store.headers = {};
     store.statusCode = 0;
 
-    this.log('reset Response data reset.');
+    this.log.debug('reset Response data reset.');
 
     this.req.emit('res-reset', this);
     this.req.emit('res-state-change', this);
@@ -255,7 +359,8 @@ Response.prototype.reset = function() {
 };
 
 /**
- * Send the response.
+ * Send the response. Sending a response that was already sent throws an ERSENT error, unless the request was aborted,
+ * as happens when it times out, in which case the call is logged and ignored.
  * @param {*} [body] The body to send in the response. See {@link Response#body} for details.
  * @returns {Response}
  * @throws {Error}
@@ -265,6 +370,7 @@ Response.prototype.send = function(body) {
 
     // make sure that the response is only sent once
     if (store.sent) {
+        if (ignoreAfterAbort(this, 'send')) return this;
         const err = Error('Response already sent for ' + this.req.id);
         err.code = 'ERSENT';
         throw err;
@@ -278,7 +384,7 @@ Response.prototype.send = function(body) {
     if (arguments.length > 0) this.body(body);
 
     // log the current state
-    this.log('send %s %s', store.statusCode, truncateString(store.body));
+    this.log('send %s %s', store.statusCode, truncateString(String(store.body)));
 
     this.req.emit('res-send', this);
 
@@ -301,6 +407,7 @@ Response.prototype.send = function(body) {
  * @returns {Response}
  */
 Response.prototype.sendStatus = function(code) {
+    if (this[STORE].sent && ignoreAfterAbort(this, 'sendStatus')) return this;
     this.log('send-status', code);
     return this.status(code)
         .set('content-type', 'text/plain')
@@ -308,29 +415,19 @@ Response.prototype.sendStatus = function(code) {
 };
 
 /**
- * Set a header.
+ * Set a header. An array of values will produce one header for each value.
  * @name Response#set
  * @param {string} key The header name.
- * @param {string} value The value of the header to set.
+ * @param {string|string[]} value The value of the header to set.
  * @returns {Response}
  * @throws {Error}
  */
 Response.prototype.set = function(key, value) {
-    if (typeof key !== 'string') {
-        const err = Error('Header key must be a string. Received ' + key);
-        err.code = 'ERHDR';
-        throw err;
-    }
-
-    if (typeof value !== 'string') {
-        const err = Error('Header value must be a string. Received ' + key);
-        err.code = 'ERHDR';
-        throw err;
-    }
+    const values = validateHeader(key, value);
 
     key = key.toLowerCase();
-    this[STORE].headers[key] = value;
-    this.log('set-header %s:%s', key, value);
+    this[STORE].headers[key] = values;
+    this.log.debug('set-header %s:%s', key, values.join(', '));
 
     this.req.emit('res-set-header', this);
     this.req.emit('res-state-change', this);
@@ -342,12 +439,92 @@ Response.prototype.set = function(key, value) {
  * @name Response#setHeader
  * @function
  * @param {string} key The header name.
- * @param {string} value The value of the header to set.
+ * @param {string|string[]} value The value of the header to set.
  * @returns {Response}
  * @throws {Error}
  */
 Response.prototype.setHeader = Response.prototype.set;
 
+/**
+ * Add a field to the Vary header if it is not already present.
+ * @name Response#vary
+ * @param {string} field
+ * @returns {Response}
+ */
+Response.prototype.vary = function(field) {
+    const values = this[STORE].headers['vary'];
+    if (!values) return this.set('Vary', field);
+
+    const current = values.join(', ');
+    const fields = current.split(',').map(value => value.trim().toLowerCase());
+    if (fields.indexOf('*') === -1 && fields.indexOf(field.toLowerCase()) === -1) {
+        this.set('Vary', current + ', ' + field);
+    }
+    return this;
+};
+
+/**
+ * Write a chunk to the response body stream. The first write sends the response with a stream body, so all
+ * response hooks run before the first chunk is delivered. Call {@link Response#end} to finish the stream.
+ * @name Response#write
+ * @param {string|Buffer} chunk
+ * @returns {Response}
+ * @throws {Error}
+ */
+Response.prototype.write = function(chunk) {
+    const store = this[STORE];
+
+    if (!store.writer) {
+        if (store.sent) {
+            if (ignoreAfterAbort(this, 'write')) return this;
+            const err = Error('Response already sent for ' + this.req.id);
+            err.code = 'ERSENT';
+            throw err;
+        }
+        store.writer = new stream.PassThrough();
+        this.log.debug('write-stream');
+        this.send(store.writer);
+    }
+
+    if (store.writer.writableEnded) {
+        if (ignoreAfterAbort(this, 'write')) return this;
+        const err = Error('Response stream already ended for ' + this.req.id);
+        err.code = 'ERSENT';
+        throw err;
+    }
+
+    store.writer.write(chunk);
+    return this;
+};
+
+/**
+ * Start a server-sent events response. The response is sent with a text/event-stream body that remains open, so the
+ * response hooks run before any events are streamed to the client.
+ * @name Response#sse
+ * @param {object} [options]
+ * @param {number} [options.heartbeat=15] The number of seconds between heartbeat comments. Zero disables heartbeats.
+ * @returns {EventStream}
+ * @throws {Error}
+ */
+Response.prototype.sse = function(options) {
+    const store = this[STORE];
+    if (store.sent) {
+        const err = Error('Response already sent for ' + this.req.id);
+        err.code = 'ERSENT';
+        throw err;
+    }
+
+    options = Object.assign({ heartbeat: 15 }, options);
+    store.writer = new stream.PassThrough();
+    const events = new EventStream(this, store.writer, options);
+
+    this.log.debug('sse-stream');
+    this.set('Content-Type', 'text/event-stream; charset=utf-8')
+        .set('Cache-Control', 'no-cache, no-transform')
+        .send(store.writer);
+    return events;
+};
+
 /**
  * Set the status code.
  * @name Response#status
@@ -363,7 +540,7 @@ Response.prototype.status = function(code) {
     }
 
     this[STORE].statusCode = code;
-    this.log('set-status', String(code));
+    this.log.debug('set-status', String(code));
 
     this.req.emit('res-set-status', this);
     this.req.emit('res-state-change', this);
@@ -372,11 +549,36 @@ Response.prototype.status = function(code) {
 };
 
 
+function copyHeaders(headers) {
+    const result = {};
+    Object.keys(headers).forEach(key => result[key] = headers[key].concat());
+    return result;
+}
+
+/**
+ * Determine if a call that would send the response again should be ignored because the request was aborted, as
+ * when a hook sends after a timeout response has already been sent. Ignored calls are logged.
+ * @param {Response} res
+ * @param {string} method
+ * @returns {boolean}
+ */
+function ignoreAfterAbort(res, method) {
+    if (!res.req.signal.aborted) return false;
+    res.log.warn('ignored', method + ' called after the request was aborted');
+    return true;
+}
+
+function joinHeaders(headers) {
+    const result = {};
+    Object.keys(headers).forEach(key => result[key] = headers[key].join(', '));
+    return result;
+}
+
 function rawHeaders(headers, cookies) {
     const results = [];
     Object.keys(headers)
         .forEach(function(key) {
-            results.push(key + ': ' + headers[key]);
+            headers[key].forEach(value => results.push(key + ': ' + value));
         });
     cookies.forEach(function(cookie) {
         results.push('Set-Cookie: ' + cookie.serialized);
@@ -384,6 +586,23 @@ function rawHeaders(headers, cookies) {
     return results;
 }
 
+function validateHeader(key, value) {
+    if (typeof key !== 'string') {
+        const err = Error('Header key must be a string. Received ' + key);
+        err.code = 'ERHDR';
+        throw err;
+    }
+
+    const values = Array.isArray(value) ? value.concat() : [value];
+    if (values.length === 0 || values.some(v => typeof v !== 'string')) {
+        const err = Error('Header value must be a string or an array of strings. Received ' + value);
+        err.code = 'ERHDR';
+        throw err;
+    }
+
+    return values;
+}
+
 function truncateString(value) {
     if (value.length > 40) value = value.substr(0, 37) + '...';
     return value;
@@ -405,9 +624,13 @@ function truncateString(value) {
 /**
  * @interface ResponseState
  * @type {object}
- * @property {string|Object|Buffer|Error} body The response body.
+ * @property {string|Object|Buffer|Error|stream.Readable} body The response body. If the body is a Readable stream then
+ * adapters should pipe it to the client.
  * @property {Array<Cookie>} cookies The cookies as name value pairs.
- * @property {object} headers The headers as key value pairs where each key and value is a string.
+ * @property {string} encoding The encoding of a string body. This is 'base64' if the body represents binary data, otherwise an empty string.
+ * @property {object} headers The headers as key value pairs where each key and value is a string. Headers with
+ * multiple values have their values joined with a comma.
+ * @property {Object<string,string[]>} multiValueHeaders The headers as key value pairs where each value is an array of strings.
  * @property {string} rawHeaders A helper property that has the headers and cookies as a string, ready to supply via http.
  * @property {number} status The status code of the response.
  * @property {number} statusCode An alias for status.
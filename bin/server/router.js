@@ -0,0 +1,292 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const Middleware            = require('sans-server-middleware');
+
+const allowed = new WeakMap();
+const matched = new WeakSet();
+const routed = new WeakSet();
+const methods = ['DELETE', 'GET', 'HEAD', 'OPTIONS', 'PATCH', 'POST', 'PUT'];
+
+module.exports = Router;
+
+/**
+ * Create a router instance.
+ * @returns {Router}
+ * @constructor
+ */
+function Router() {
+    if (!(this instanceof Router)) return new Router();
+
+    /**
+     * The routes and mounted routers, in the order they were added.
+     * @name Router#layers
+     * @type {Array<object>}
+     * @private
+     */
+    Object.defineProperty(this, 'layers', {
+        configurable: false,
+        enumerable: false,
+        value: []
+    });
+}
+
+/**
+ * The HTTP methods that have a matching route function.
+ * @type {string[]}
+ */
+Router.methods = methods.concat();
+
+/**
+ * Add a route that matches all methods.
+ * @param {string} path
+ * @param {...function} handler
+ * @returns {Router}
+ */
+Router.prototype.all = function(path, handler) {
+    return addRoute(this, '', path, Array.from(arguments).slice(1));
+};
+
+methods.forEach(method => {
+    Router.prototype[method.toLowerCase()] = function(path, handler) {
+        return addRoute(this, method, path, Array.from(arguments).slice(1));
+    };
+});
+
+/**
+ * Get a request hook that runs this router's routes, optionally only for paths that begin with a prefix.
+ * @param {string} [prefix='']
+ * @returns {function}
+ */
+Router.prototype.middleware = function(prefix) {
+    const router = this;
+    const matcher = prefix ? compile(prefix, true) : null;
+    return function routerMiddleware(req, res, next) {
+        routed.add(req);
+        let path = req.path;
+        let params = {};
+        if (matcher) {
+            const match = matcher.exec(path);
+            if (!match) return next();
+            params = match.params;
+            path = match.rest;
+        }
+        dispatch(router, req, res, path, params, prefix || '', next);
+    };
+};
+
+/**
+ * Mount middleware or routers, optionally only for paths that begin with a prefix.
+ * @param {string} [prefix='']
+ * @param {...function|Router} handler
+ * @returns {Router}
+ */
+Router.prototype.use = function(prefix, handler) {
+    let start = 1;
+    if (typeof prefix !== 'string') {
+        prefix = '';
+        start = 0;
+    }
+
+    const matcher = prefix ? compile(prefix, true) : null;
+    for (let i = start; i < arguments.length; i++) {
+        const item = arguments[i];
+        if (item instanceof Router) {
+            this.layers.push({ matcher: matcher, path: prefix, router: item });
+        } else if (typeof item === 'function') {
+            this.layers.push({ matcher: matcher, handlers: [item], method: null, path: prefix });
+        } else {
+            const err = Error('Expected a function or Router. Received: ' + item);
+            err.code = 'EROUTE';
+            throw err;
+        }
+    }
+
+    return this;
+};
+
+/**
+ * Request hook that responds with a 405 if a route matched the path but not the method.
+ * @param {Request} req
+ * @param {Response} res
+ * @param {function} next
+ */
+Router.methodNotAllowed = function methodNotAllowed(req, res, next) {
+    const methods = allowed.get(req);
+    if (!res.sent && methods && !matched.has(req)) {
+        res.set('Allow', methods.join(', ')).sendStatus(405);
+    } else {
+        next();
+    }
+};
+
+/**
+ * Determine if any router middleware has run for a request.
+ * @param {Request} req
+ * @returns {boolean}
+ */
+Router.routed = function(req) {
+    return routed.has(req);
+};
+
+function addRoute(router, method, path, handlers) {
+    if (typeof path !== 'string') {
+        const err = Error('Route path must be a string. Received: ' + path);
+        err.code = 'EROUTE';
+        throw err;
+    }
+
+    if (handlers.length === 0) {
+        const err = Error('Route requires at least one handler: ' + path);
+        err.code = 'EROUTE';
+        throw err;
+    }
+
+    handlers.forEach(handler => {
+        if (typeof handler !== 'function') {
+            const err = Error('Route handler must be a function. Received: ' + handler);
+            err.code = 'EROUTE';
+            throw err;
+        }
+    });
+
+    router.layers.push({
+        handlers: handlers,
+        matcher: compile(path, false),
+        method: method,
+        path: path
+    });
+    return router;
+}
+
+/**
+ * Compile a path pattern into a matcher.
+ * @param {string} pattern
+ * @param {boolean} prefix Whether the pattern only needs to match the beginning of the path.
+ * @returns {{exec: function(string)}}
+ */
+function compile(pattern, prefix) {
+    const keys = [];
+    const source = pattern
+        .replace(/\/+$/, '')
+        .split('/')
+        .map(segment => {
+            if (segment === '*') {
+                keys.push(0);
+                return '(.*)';
+            } else if (segment[0] === ':') {
+                keys.push(segment.substr(1));
+                return '([^/]+)';
+            } else {
+                return segment.replace(/[.+?^${}()|[\]\\*]/g, '\\$&');
+            }
+        })
+        .join('/');
+    const rx = new RegExp('^' + source + (prefix ? '(?=/|$)' : '/?$'));
+
+    return {
+        exec: function(path) {
+            const match = rx.exec(path);
+            if (!match) return null;
+
+            const params = {};
+            keys.forEach((key, index) => {
+                params[key] = decode(match[index + 1]);
+            });
+            return {
+                params: params,
+                rest: prefix ? path.substr(match[0].length) || '/' : ''
+            };
+        }
+    };
+}
+
+/**
+ * Join two path patterns.
+ * @param {string} base
+ * @param {string} path
+ * @returns {string}
+ */
+function join(base, path) {
+    const result = base.replace(/\/+$/, '') + '/' + (path || '').replace(/^\/+/, '');
+    return result.length > 1 ? result.replace(/\/+$/, '') : result;
+}
+
+function decode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (err) {
+        return value;
+    }
+}
+
+/**
+ * Run the layers of a router that match the path.
+ * @param {Router} router
+ * @param {Request} req
+ * @param {Response} res
+ * @param {string} path The path that remains after any mount prefixes.
+ * @param {object} params The parameters from the mount prefixes.
+ * @param {string} base The mount prefixes joined into a single path pattern.
+ * @param {function} done
+ */
+function dispatch(router, req, res, path, params, base, done) {
+    const layers = router.layers;
+    const length = layers.length;
+    let index = 0;
+
+    function next(err) {
+        if (err) return done(err);
+        if (res.sent) return done();
+
+        while (index < length) {
+            const layer = layers[index++];
+            const match = layer.matcher ? layer.matcher.exec(path) : { params: {}, rest: path };
+            if (!match) continue;
+
+            const merged = Object.assign({}, params, match.params);
+
+            // mounted router
+            if (layer.router) {
+                return dispatch(layer.router, req, res, match.rest, merged, join(base, layer.path), next);
+            }
+
+            // route that matches the path but not the method
+            if (layer.method && layer.method !== req.method && !(layer.method === 'GET' && req.method === 'HEAD')) {
+                if (!allowed.has(req)) allowed.set(req, []);
+                const methods = allowed.get(req);
+                if (methods.indexOf(layer.method) === -1) methods.push(layer.method);
+                if (layer.method === 'GET' && methods.indexOf('HEAD') === -1) methods.push('HEAD');
+                methods.sort();
+                continue;
+            }
+
+            if (layer.method !== null) {
+                matched.add(req);
+                req.route = join(base, layer.path);
+            }
+            req.params = merged;
+            const middleware = new Middleware(layer.path || 'router');
+            layer.handlers.forEach(handler => middleware.add(handler));
+            return middleware.run(req, res, next);
+        }
+
+        done();
+    }
+
+    next();
+}
@@ -15,9 +15,26 @@
  *    limitations under the License.
  **/
 'use strict';
-const httpStatus            = require('http-status');
-const prettyPrint           = require('../pretty-print');
+const bufferStream          = require('../hooks/buffer-stream');
+const compress              = require('../hooks/compress');
+const conditional           = require('../hooks/conditional');
+const cors                  = require('../hooks/cors');
+const httpAdapter           = require('../adapters/http');
+const har                   = require('../har');
+const HttpError             = require('./http-error');
+const lambdaAdapter         = require('../adapters/lambda');
+const logs                  = require('../logs');
+const Metrics               = require('../metrics');
+const parseBody             = require('../hooks/parse-body');
+const performance           = require('perf_hooks').performance;
+const range                 = require('../hooks/range');
 const Request               = require('./request');
+const requestId             = require('../request-id');
+const Router                = require('./router');
+const serveStatic           = require('../hooks/static');
+const stream                = require('stream');
+const TestClient            = require('./test-client');
+const tracing               = require('../tracing');
 const util                  = require('../util');
 
 const httpMethods = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'];
@@ -27,9 +44,37 @@ module.exports = SansServer;
 /**
  * Create a san-server instance.
  * @param {object} [configuration] Configuration options.
- * @param {boolean} [configuration.logs=true] Whether to output grouped logs at the end of a request.
+ * @param {boolean} [configuration.bodyParser=false] Whether to parse the request body based on its content type.
+ * @param {boolean|object} [configuration.compression=false] Whether to compress response bodies. Set to an object to
+ * specify the compression options.
+ * @param {string|string[]} [configuration.cookieSecret] The secret used to sign cookies. If an array then the first
+ * secret is used to sign and all secrets are used to verify.
+ * @param {boolean|object} [configuration.cors=false] Whether to add CORS headers and answer preflight requests. Set to
+ * an object to specify the CORS options.
+ * @param {string} [configuration.errorFormat='text'] The format for error responses. Either 'text' or 'problem+json'.
+ * @param {boolean|string} [configuration.etag=false] Whether to generate ETags and handle conditional requests. Set to
+ * true or 'weak' for weak ETags or 'strong' for strong ETags.
+ * @param {boolean|string|function|object} [configuration.har=false] Whether to record each request and response as a
+ * HAR entry. Can also be a file path to write the HAR document to, a function that receives each entry, or an object
+ * with a delay, a limit, and an optional path or write function.
+ * @param {string} [configuration.logLevel='debug'] The minimum level of log events to produce. One of 'trace', 'debug',
+ * 'info', 'warn', or 'error'.
+ * @param {boolean|string|function|object} [configuration.logs=true] Whether to output grouped logs at the end of a
+ * request. Can also be a built in formatter name, a transport function that receives each log entry, or an object
+ * with a write function and an optional format.
+ * @param {boolean|object} [configuration.ranges=false] Whether to answer range requests for string and Buffer bodies.
+ * Set to an object to specify the range options.
+ * @param {boolean|object} [configuration.metrics=false] Whether to collect request and hook duration histograms. Set
+ * to an object to specify the histogram buckets.
+ * @param {object} [configuration.requestId] How request IDs are determined. Set generator to 'short', 'ulid',
+ * 'uuid', or a function that returns an ID, header to the trusted request headers to take the ID from, and
+ * responseHeader to the response header to echo the ID in.
  * @param {boolean} [configuration.rejectable=false] Whether an error while processing the request should cause a failure or return a 500 response.
- * @param {number} [configuration.timeout=30] The number of seconds to wait before timeout for a request.
+ * @param {number} [configuration.timeout=30] The number of seconds to wait before timeout for a request. Fractions of a
+ * second are allowed.
+ * @param {function|object} [configuration.tracing] Produce a trace span for each request and a child span for each of
+ * its hooks. Set to an exporter function that receives each request's spans, an object with an export function, or an
+ * object with an exporter property.
  * @param {boolean} [configuration.useBuiltInHooks=true] Whether to use built in middleware.
  * @returns {SansServer}
  * @constructor
@@ -38,13 +83,44 @@ function SansServer(configuration) {
     if (!(this instanceof SansServer)) return new SansServer(configuration);
 
     const config = configuration && typeof configuration === 'object' ? Object.assign(configuration) : {};
+    config.bodyParser = config.hasOwnProperty('bodyParser') ? config.bodyParser : false;
+    config.compression = config.hasOwnProperty('compression') ? config.compression : false;
+    config.cookieSecret = [].concat(config.hasOwnProperty('cookieSecret') ? config.cookieSecret : [])
+        .filter(secret => typeof secret === 'string' && secret.length > 0);
+    config.cors = config.hasOwnProperty('cors') ? config.cors : false;
+    config.errorFormat = config.hasOwnProperty('errorFormat') ? config.errorFormat : 'text';
+    config.etag = config.hasOwnProperty('etag') ? config.etag : false;
+    config.har = config.hasOwnProperty('har') ? config.har : false;
+    config.logLevel = config.hasOwnProperty('logLevel') ? config.logLevel : 'debug';
     config.logs = config.hasOwnProperty('logs') ? config.logs : true;
+    config.metrics = config.hasOwnProperty('metrics') ? config.metrics : false;
+    config.ranges = config.hasOwnProperty('ranges') ? config.ranges : false;
     config.rejectable = config.hasOwnProperty('rejectable') ? config.rejectable : false;
+    config.requestId = requestId.options(config.requestId);
     config.timeout = config.hasOwnProperty('timeout') && !isNaN(config.timeout) && config.timeout >= 0 ? config.timeout : 30;
+    config.tracing = config.hasOwnProperty('tracing') ? config.tracing : false;
     config.useBuiltInHooks = config.hasOwnProperty('useBuiltInHooks') ? config.useBuiltInHooks : true;
 
+    if (config.errorFormat !== 'text' && config.errorFormat !== 'problem+json') {
+        const err = Error('Invalid error format specified: ' + config.errorFormat);
+        err.code = 'ESERROR';
+        throw err;
+    }
+
+    if (!logs.levels.hasOwnProperty(config.logLevel)) {
+        const err = Error('Invalid log level specified: ' + config.logLevel);
+        err.code = 'ESLOGS';
+        throw err;
+    }
+
     const hooks = {};
     const keys = {};
+    const outputs = {
+        metrics: config.metrics ? new Metrics(typeof config.metrics === 'object' ? config.metrics : {}) : null,
+        recorder: har.recorder(config.har),
+        tracer: tracing.tracer(config.tracing),
+        transport: logs.transport(config.logs)
+    };
     const runners = {
         symbols: {},
         types: {}
@@ -78,6 +154,64 @@ function SansServer(configuration) {
      */
     this.hook.type = key => runners.symbols[key];
 
+    /**
+     * Get the HAR 1.2 document for the recorded requests, or null if recording is not enabled.
+     * @returns {{log: object}|null}
+     */
+    this.har = () => outputs.recorder ? outputs.recorder.document() : null;
+
+    /**
+     * Write the recorded requests to a HAR file after any pending writes have finished.
+     * @name SansServer#har.save
+     * @function
+     * @param {string} [path] The file path. Defaults to the configured har path.
+     * @returns {Promise}
+     */
+    this.har.save = path => {
+        if (outputs.recorder) return outputs.recorder.save(path);
+        const err = Error('HAR recording is not enabled.');
+        err.code = 'ESHAR';
+        return Promise.reject(err);
+    };
+
+    /**
+     * Get a function that can be used as a NodeJS http request listener.
+     * @returns {function(http.IncomingMessage, http.ServerResponse)}
+     */
+    this.httpHandler = () => httpAdapter.handler(server);
+
+    /**
+     * Get a function that can be used as an AWS Lambda handler for API Gateway proxy events.
+     * @returns {function(object, object, function=)}
+     */
+    this.lambdaHandler = () => lambdaAdapter.handler(server);
+
+    /**
+     * Start a NodeJS http server that sends its requests to this instance.
+     * @param {number} [port=0]
+     * @param {function} [callback] Called once the server is listening.
+     * @returns {http.Server}
+     */
+    this.listen = (port, callback) => httpAdapter.listen(server, port, callback);
+
+    /**
+     * Get the request duration histograms by method, status, and route and the hook duration histograms by type, name,
+     * and weight.
+     * @param {string} [format='prometheus'] Either 'prometheus' for the Prometheus text format or 'json' for a snapshot.
+     * @returns {string|object|null} The metrics, or null if metrics are not enabled.
+     * @throws {Error}
+     */
+    this.metrics = format => {
+        const metrics = outputs.metrics;
+        if (!metrics) return null;
+        if (format === undefined || format === 'prometheus') return metrics.prometheus();
+        if (format === 'json') return metrics.snapshot();
+
+        const err = Error('Invalid metrics format specified: ' + format);
+        err.code = 'ESMETRICS';
+        throw err;
+    };
+
     /**
      * Have the server execute a request.
      * @param {object|string} [req={}] An object that has request details or a string that is a GET endpoint.
@@ -85,39 +219,164 @@ function SansServer(configuration) {
      * @returns {Request}
      * @listens Request#log
      */
-    this.request = (req, callback) => request(server, config, hooks, keys, req, callback);
+    this.request = (req, callback) => request(server, config, hooks, keys, outputs, req, callback);
+
+    /**
+     * Send each request in a HAR document through this server in order and report the responses that differ from the
+     * recorded responses.
+     * @param {object|string} document A HAR document or the path to a HAR file.
+     * @param {object} [options]
+     * @param {string[]} [options.ignoreHeaders=['date']] Response headers that are not compared. The requestId
+     * responseHeader is never compared.
+     * @returns {Promise<{differences: Array, matched: number, total: number}>}
+     */
+    this.replay = (document, options) => har.replay(server, document, options,
+        [].concat(config.requestId.responseHeader || []));
+
+    /**
+     * Get a fluent client for making a request and asserting the response.
+     * @param {object|string} [req] An initial request configuration or a string that is the path.
+     * @returns {TestClient}
+     */
+    this.test = req => new TestClient(server, req, (input, transport, callback) => {
+        const send = outputs.transport;
+        const both = send ? entry => { transport(entry); send(entry); } : transport;
+        return request(server, config, hooks, keys, Object.assign({}, outputs, { transport: both }), input, callback);
+    });
 
     /**
-     * Specify a middleware to use.
+     * Specify a middleware to use. Functions with four parameters (err, req, res, next) are added as error hooks.
      * @param {...Function} middleware
      * @throws {Error}
      * @returns {SansServer}
      */
-    this.use = this.hook.bind(this, 'request', 0);
+    this.use = function(middleware) {
+        Array.from(arguments).forEach(hook => {
+            const type = typeof hook === 'function' && hook.length >= 4 ? 'error' : 'request';
+            server.hook(type, 0, hook);
+        });
+        return server;
+    };
 
+    /**
+     * Add a route that matches all methods. Other methods (get, post, put, delete, etc.) are also available and
+     * accept the same parameters.
+     * @name SansServer#all
+     * @function
+     * @param {number} [weight=0] The request hook weight for the route.
+     * @param {string} path The path pattern to match, for example '/users/:id/*'.
+     * @param {...function} handler
+     * @returns {SansServer}
+     */
+    ['all'].concat(Router.methods.map(method => method.toLowerCase())).forEach(name => {
+        this[name] = function(weight, path, handler) {
+            const args = Array.from(arguments);
+            if (typeof weight !== 'number') args.unshift(0);
 
+            const router = Router();
+            router[name].apply(router, args.slice(1));
 
-    // define the request and response hooks
+            const hook = router.middleware();
+            Object.defineProperty(hook, 'name', { value: name.toUpperCase() + ' ' + args[1] });
+            return this.hook('request', args[0], hook);
+        };
+    });
+
+
+    // define the request, response, and error hooks
     keys.request = this.hook.define('request');
     keys.response = this.hook.define('response');
+    keys.error = this.hook.define('error');
 
     // set request hooks
-    if (config.timeout) this.hook('request', Number.MIN_SAFE_INTEGER + 10, timeout(config.timeout));
     if (config.useBuiltInHooks) this.hook('request', -100000, validMethod);
+    if (config.bodyParser) this.hook('request', -90000, parseBody);
+    if (config.useBuiltInHooks) this.hook('request', Number.MAX_SAFE_INTEGER - 10, Router.methodNotAllowed);
 
     // set response hooks
     if (config.useBuiltInHooks) this.hook('response', -100000, transform);
+    if (config.etag) this.hook('response', -100010, conditional({
+        keepHeaders: [].concat(config.requestId.responseHeader || []),
+        weak: config.etag !== 'strong'
+    }));
+    if (config.ranges) this.hook('response', -100015, range(typeof config.ranges === 'object' ? config.ranges : {}));
+    if (config.compression) {
+        this.hook('response', -100020, compress(typeof config.compression === 'object' ? config.compression : {}));
+    }
+    if (config.cors) this.hook('response', -100030, cors(typeof config.cors === 'object' ? config.cors : {}));
 }
 
+/**
+ * Expose the adapters that convert between sans-server and other environments.
+ * @type {{http: object, lambda: object}}
+ */
+SansServer.adapters = {
+    http: httpAdapter,
+    lambda: lambdaAdapter
+};
+
 /**
  * Expose built in hooks.
- * @type {{validateMethod: validMethod, transformResponse: transform}}
+ * @type {{bufferStream: function, compress: function, conditional: function, cors: function, methodNotAllowed: function, parseBody: function, range: function, static: function, validateMethod: validMethod, transformResponse: transform}}
  */
 SansServer.hooks = {
+    bufferStream: bufferStream,
+    compress: compress,
+    conditional: conditional,
+    cors: cors,
+    methodNotAllowed: Router.methodNotAllowed,
+    parseBody: parseBody,
+    range: range,
+    static: serveStatic,
     validateMethod: validMethod,
     transformResponse: transform
 };
 
+/**
+ * Create an error that produces a response with a specific status code.
+ * @param {number} statusCode A status code from 400 to 599.
+ * @param {string} [message] The error message. Defaults to the status code's message.
+ * @param {object} [details] Additional details to include in problem+json responses.
+ * @returns {HttpError}
+ */
+SansServer.error = (statusCode, message, details) => new HttpError(statusCode, message, details);
+
+/**
+ * Expose the HTTP error constructor.
+ * @type {HttpError}
+ */
+SansServer.HttpError = HttpError;
+
+/**
+ * Expose the built in log formatters.
+ * @type {Object<string,function(LogEntry):string[]>}
+ */
+SansServer.logFormatters = logs.formatters;
+
+/**
+ * Expose the built in request ID generators. Generators added to this object can be used by name in the requestId
+ * configuration.
+ * @type {{short: function():string, ulid: function():string, uuid: function():string}}
+ */
+SansServer.requestIdGenerators = requestId.generators;
+
+/**
+ * Expose the router constructor.
+ * @type {Router}
+ */
+SansServer.Router = Router;
+
+/**
+ * Expose the tracing exporters and trace context utilities.
+ * @type {{fileExporter: function, memoryExporter: function, parseTraceparent: function, toOTLP: function}}
+ */
+SansServer.tracing = {
+    fileExporter: tracing.fileExporter,
+    memoryExporter: tracing.memoryExporter,
+    parseTraceparent: tracing.parseTraceparent,
+    toOTLP: tracing.toOTLP
+};
+
 
 /**
  * Define a hook that is applied to all requests.
@@ -185,63 +444,93 @@ function defineHookRunner(runners, type) {
  * @param {object} config
  * @param {object} hooks
  * @param {object} keys
+ * @param {{metrics: Metrics, recorder: Recorder, tracer: object, transport: function}} outputs
  * @param {object} [request]
  * @param {function} [callback]
  */
-function request(server, config, hooks, keys, request, callback) {
+function request(server, config, hooks, keys, outputs, request, callback) {
     const start = Date.now();
+    const began = performance.now();
+    const metrics = outputs.metrics;
+    const recorder = outputs.recorder;
+    const tracer = outputs.tracer;
+    const transport = outputs.transport;
 
     if (typeof request === 'function' && typeof callback !== 'function') {
         callback = request;
         request = {};
     }
 
+    // event log aggregation, listening before the request is constructed to include its input warnings
+    const queue = transport || recorder ? [] : null;
+    const onLog = queue ? function(event) {
+        if (logs.enabled(event.level, this.logLevel)) queue.push(event);
+    } : undefined;
+
     // handle argument variations and get Request instance
-    const args = Array.from(arguments).slice(4).filter(v => v !== undefined);
+    const args = Array.from(arguments).slice(5).filter(v => v !== undefined);
     const req = (function() {
         const length = args.length;
         if (length === 0) {
-            return new Request(server, keys, config.rejectable);
+            return new Request(server, keys, config, undefined, onLog);
 
         } else if (length === 1 && typeof args[0] === 'function') {
             callback = args[0];
-            return new Request(server, keys, config.rejectable);
+            return new Request(server, keys, config, undefined, onLog);
 
         } else {
-            return new Request(server, keys, config.rejectable, request);
+            return new Request(server, keys, config, request, onLog);
         }
     })();
 
-    // event log aggregation
-    const queue = config.logs ? [] : null;
-    if (queue) req.on('log', event => queue.push(event));
-
-    // if logging enabled then produce the log when the request is fulfilled or rejected
-    if (queue) {
+    // if logging enabled then send the log entry to the transport when the request is fulfilled or rejected
+    if (transport) {
         const log = function(state) {
-            const events = queue.map((event, index) => {
-                const seconds = util.seconds(event.timestamp - (index > 0 ? queue[index - 1].timestamp : start));
-                return '[+' + seconds + 's] ' + event.category + ':' + event.type + ' ' + event.data;
+            transport({
+                duration: Date.now() - start,
+                events: queue,
+                id: req.id,
+                method: req.method,
+                start: start,
+                state: state,
+                statusCode: state.statusCode,
+                url: req.url
             });
-            console.log(state.statusCode + ' ' + req.method + ' ' + req.url +
-                (state.statusCode === 302 ? '\n  Redirect To: ' + state.headers['location']  : '') +
-                '\n  ID: ' + req.id +
-                '\n  Start: ' + new Date(start).toISOString() +
-                '\n  Duration: ' + prettyPrint.seconds(Date.now() - start) +
-                '\n  Events:\n    ' +
-                events.join('\n    '));
         };
-        req.then(log, () => log(req.res.state));
+        req.then(log, () => log(req.res.state))
+            .catch(err => process.emitWarning('Unable to send logs: ' + (err && err.message ? err.message : err)));
+    }
+
+    // record the hook and request durations, with unknown methods grouped together to limit the number of series
+    if (metrics) {
+        req.on('hook-end', hook => metrics.observeHook(hook));
+        const observe = state => {
+            const method = httpMethods.indexOf(req.method) === -1 ? '_OTHER' : req.method;
+            metrics.observeRequest(method, state.statusCode, req.route || '', performance.now() - began);
+        };
+        req.then(observe, () => observe(req.res.state))
+            .catch(err => process.emitWarning('Unable to record metrics: ' + (err && err.message ? err.message : err)));
+    }
+
+    // record the request and response as a HAR entry when the request is fulfilled or rejected
+    if (recorder) {
+        const input = args.length && typeof args[0] !== 'function' ? util.copy(args[0]) : {};
+        const record = state => recorder.record(har.entry(req, input, state, start, queue));
+        req.then(record, () => record(req.res.state))
+            .catch(err => process.emitWarning('Unable to record HAR entry: ' + (err && err.message ? err.message : err)));
     }
 
+    // open the request span and a child span for each hook, exported when the request is fulfilled or rejected
+    if (tracer) tracer.trace(req);
+
     // copy hooks into request
-    req.log('initialized');
+    req.log.debug('initialized');
     Object.keys(hooks).forEach(type => {
         hooks[type].forEach(d => {
             req.hook(type, d.weight, d.hook)
         });
     });
-    req.log('hooks applied');
+    req.log.debug('hooks applied');
 
     // is using a callback paradigm then execute the callback
     if (typeof callback === 'function') req.then(state => callback(null, state), err => callback(err, req.res.state));
@@ -249,26 +538,6 @@ function request(server, config, hooks, keys, request, callback) {
     return req;
 }
 
-/**
- * Request middleware to apply timeouts to the request.
- * @param {number} seconds
- * @returns {function}
- */
-function timeout(seconds) {
-    return function timeoutSet(req, res, next) {
-        const timeoutId = setTimeout(() => {
-            if (!res.sent) res.sendStatus(504)
-        }, 1000 * seconds);
-
-        req.hook('response', Number.MAX_SAFE_INTEGER - 1000, function timeoutClear(req, res, next) {
-            clearTimeout(timeoutId);
-            next();
-        });
-
-        next();
-    };
-}
-
 /**
  * Response middleware for transforming the response body and setting content type.
  * @param {Request} req
@@ -284,24 +553,32 @@ function transform(req, res, next) {
 
     // error conversion
     if (body instanceof Error) {
-        res.log('transform', 'Converting Error to response');
-        res.status(500).body(httpStatus[500]).set('content-type', 'text/plain');
+        res.log.debug('transform', 'Converting Error to response');
+        HttpError.render(res, body, req.errorFormat);
+
+    // stream conversion
+    } else if (util.isStream(body) || util.isAsyncIterable(body)) {
+        if (!util.isStream(body)) {
+            res.log.debug('transform', 'Converting async iterable to stream');
+            res.body(stream.Readable.from(body));
+        }
+        contentType = 'application/octet-stream';
 
     // buffer conversion
     } else if (isBuffer) {
-        res.log('transform', 'Converting Buffer to base64 string');
-        res.body(body.toString('base64'));
+        res.log.debug('transform', 'Converting Buffer to base64 string');
+        res.body(body.toString('base64'), 'base64');
         contentType = 'application/octet-stream';
 
     // object conversion
     } else if (type === 'object') {
-        res.log('transform', 'Converting object to JSON string');
+        res.log.debug('transform', 'Converting object to JSON string');
         res.body(JSON.stringify(body));
         contentType = 'application/json';
 
     // not string conversion
     } else if (type !== 'string') {
-        res.log('transform', 'Converting ' + type + ' to string');
+        res.log.debug('transform', 'Converting ' + type + ' to string');
         res.body(String(body));
         contentType = 'text/plain';
 
@@ -311,7 +588,7 @@ function transform(req, res, next) {
 
     // set content type if not yet set
     if (!state.headers.hasOwnProperty('content-type') && contentType) {
-        res.log('transform', 'Set content type');
+        res.log.debug('transform', 'Set content type');
         res.set('Content-Type', contentType);
     }
 
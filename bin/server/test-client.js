@@ -0,0 +1,299 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const bufferStream          = require('../hooks/buffer-stream');
+const logs                  = require('../logs');
+const Router                = require('./router');
+const util                  = require('../util');
+const nodeUtil              = require('util');
+
+module.exports = TestClient;
+
+/**
+ * @typedef {ResponseState} TestResponse
+ * @property {string|Buffer|object} body The body with base64 and stream bodies read into a string for text content
+ * types or a Buffer for all others.
+ * @property {string} id The request ID.
+ * @property {string} text The body as a utf8 string.
+ */
+
+/**
+ * Create a fluent client that makes a request against a server and asserts the response. The request is made when
+ * the client is first used as a promise or when {@link TestClient#end} is called. A failed expectation rejects with
+ * an error whose message includes the request ID and the request's log events.
+ * @param {SansServer} server
+ * @param {object|string} [request] An initial request configuration.
+ * @param {function(object, function(LogEntry), function(Error, ResponseState))} requester A function that makes a
+ * request with the server and sends its log entry to a transport in addition to the server's own.
+ * @returns {TestClient}
+ * @constructor
+ */
+function TestClient(server, request, requester) {
+    if (typeof request === 'string') request = { path: request };
+    this.requester = requester;
+    this.server = server;
+    this.config = Object.assign({}, request);
+    this.config.headers = Object.assign({}, this.config.headers);
+    this.expectations = [];
+    this.promise = null;
+}
+
+/**
+ * Set the method and path for the request. The method functions are named after the lower case HTTP methods,
+ * for example post and delete.
+ * @name TestClient#get
+ * @function
+ * @param {string} path
+ * @returns {TestClient}
+ */
+Router.methods.forEach(method => {
+    TestClient.prototype[method.toLowerCase()] = function(path) {
+        this.config.method = method;
+        this.config.path = path;
+        return this;
+    };
+});
+
+/**
+ * Make the request and call the callback with the first failed expectation or the response.
+ * @param {function(Error, TestResponse=)} callback
+ * @returns {TestClient}
+ */
+TestClient.prototype.end = function(callback) {
+    this.then(res => callback(null, res), err => callback(err));
+    return this;
+};
+
+/**
+ * Add an expectation. The expectations are checked in the order they were added.
+ * expect(status [, body ]) checks the status code and optionally the body.
+ * expect(header, value) checks a header against a string or RegExp.
+ * expect(function) calls the function with the response. The expectation fails if the function throws or returns
+ * false.
+ * @param {number|string|function} a
+ * @param {*} [b]
+ * @returns {TestClient}
+ */
+TestClient.prototype.expect = function(a, b) {
+    const args = arguments;
+    if (typeof a === 'number') {
+        this.expectations.push(res => res.statusCode === a
+            ? null
+            : 'expected status ' + a + ' but received ' + res.statusCode);
+        if (args.length > 1) this.expectBody(b);
+
+    } else if (typeof a === 'string' && args.length > 1) {
+        const name = a.toLowerCase();
+        this.expectations.push(res => {
+            const actual = res.headers[name];
+            if (actual === undefined) return 'expected header ' + name + ' to ' + describe(b) + ' but it was not set';
+            const matches = b instanceof RegExp ? b.test(actual) : actual === String(b);
+            return matches ? null : 'expected header ' + name + ' to ' + describe(b) + ' but received ' + inspect(actual);
+        });
+
+    } else if (typeof a === 'function') {
+        this.expectations.push(res => {
+            try {
+                return a(res) === false ? 'expected custom assertion ' + (a.name || 'function') + ' to pass' : null;
+            } catch (err) {
+                return err.message;
+            }
+        });
+
+    } else {
+        const err = Error('Invalid expectation. Expected a status code, a header and value, or a function.');
+        err.code = 'ESTEST';
+        throw err;
+    }
+    return this;
+};
+
+/**
+ * Expect the response body to equal a string, match a RegExp, deeply equal an object after parsing the body as JSON,
+ * or pass a function that receives the body and the response. A function fails if it throws or returns false.
+ * @param {string|RegExp|object|function} expected
+ * @returns {TestClient}
+ */
+TestClient.prototype.expectBody = function(expected) {
+    this.expectations.push(res => {
+        if (typeof expected === 'function') {
+            try {
+                return expected(res.body, res) === false ? 'expected body to pass ' + (expected.name || 'function') : null;
+            } catch (err) {
+                return err.message;
+            }
+        }
+
+        if (expected instanceof RegExp) {
+            return expected.test(res.text) ? null : 'expected body to match ' + expected + ' but received ' + inspect(res.text);
+        }
+
+        if (expected !== null && typeof expected === 'object' && !Buffer.isBuffer(expected)) {
+            let actual;
+            try {
+                actual = JSON.parse(res.text);
+            } catch (err) {
+                return 'expected a JSON body but received ' + inspect(res.text);
+            }
+            return nodeUtil.isDeepStrictEqual(actual, expected)
+                ? null
+                : 'expected body to equal ' + inspect(expected) + ' but received ' + inspect(actual);
+        }
+
+        const text = Buffer.isBuffer(expected) ? expected.toString() : String(expected);
+        return res.text === text ? null : 'expected body to equal ' + inspect(text) + ' but received ' + inspect(res.text);
+    });
+    return this;
+};
+
+/**
+ * Add query string parameters.
+ * @param {object|string} query
+ * @returns {TestClient}
+ */
+TestClient.prototype.query = function(query) {
+    if (typeof query === 'string') {
+        this.config.path = (this.config.path || '') + (/\?/.test(this.config.path || '') ? '&' : '?') +
+            query.replace(/^\?/, '');
+    } else {
+        this.config.query = Object.assign({}, this.config.query, query);
+    }
+    return this;
+};
+
+/**
+ * Set the request body.
+ * @param {*} body
+ * @returns {TestClient}
+ */
+TestClient.prototype.send = function(body) {
+    this.config.body = body;
+    return this;
+};
+
+/**
+ * Set a request header or set multiple headers with an object.
+ * @param {string|object} name
+ * @param {string} [value]
+ * @returns {TestClient}
+ */
+TestClient.prototype.set = function(name, value) {
+    const headers = typeof name === 'object' ? name : { [name]: value };
+    Object.keys(headers).forEach(key => this.config.headers[key.toLowerCase()] = String(headers[key]));
+    return this;
+};
+
+/**
+ * Make the request if it has not been made and assign callbacks for the response or the first failed expectation.
+ * @param {function(TestResponse)} [onFulfilled]
+ * @param {function(Error)} [onRejected]
+ * @returns {Promise}
+ */
+TestClient.prototype.then = function(onFulfilled, onRejected) {
+    if (!this.promise) this.promise = run(this);
+    return this.promise.then(onFulfilled, onRejected);
+};
+
+/**
+ * Assign a callback for the first failed expectation.
+ * @param {function(Error)} onRejected
+ * @returns {Promise}
+ */
+TestClient.prototype.catch = function(onRejected) {
+    return this.then(undefined, onRejected);
+};
+
+/**
+ * Make the request and check the expectations.
+ * @param {TestClient} client
+ * @returns {Promise<TestResponse>}
+ */
+function run(client) {
+    return new Promise(resolve => {
+        let entry;
+        client.requester(client.config,
+            logEntry => entry = logEntry,
+            (err, state) => resolve({ entry: entry, err: err, state: state }));
+    })
+        .then(result => {
+            const entry = result.entry;
+            const state = result.state;
+            if (result.err) throw failure('request failed: ' + result.err.message, entry);
+
+            return readBody(state)
+                .then(body => {
+                    const text = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+                    const res = Object.assign({}, state, { body: body, id: entry.id, text: text });
+                    for (let i = 0; i < client.expectations.length; i++) {
+                        const message = client.expectations[i](res);
+                        if (message) throw failure(message, entry);
+                    }
+                    return res;
+                });
+        });
+}
+
+/**
+ * Get the response body with base64 and stream bodies read into a string for text content types or a Buffer for
+ * all others.
+ * @param {ResponseState} state
+ * @returns {Promise<string|Buffer|object>}
+ */
+function readBody(state) {
+    const body = state.body;
+    const text = /^text\/|json|xml|javascript/i.test(state.headers['content-type'] || '');
+
+    if (util.isStream(body) || util.isAsyncIterable(body)) {
+        return bufferStream.read(body).then(buffer => text ? buffer.toString('utf8') : buffer);
+    } else if (state.encoding === 'base64') {
+        const buffer = Buffer.from(body, 'base64');
+        return Promise.resolve(text ? buffer.toString('utf8') : buffer);
+    } else {
+        return Promise.resolve(body);
+    }
+}
+
+/**
+ * Create an error for a failed expectation that includes the request ID and log events.
+ * @param {string} message
+ * @param {LogEntry} entry
+ * @returns {Error}
+ */
+function failure(message, entry) {
+    const err = Error(message + '\n\n  Request ID: ' + entry.id + '\n\n' + logs.formatters.pretty(entry).join('\n'));
+    err.code = 'ESTEST';
+    err.requestId = entry.id;
+    return err;
+}
+
+/**
+ * Describe an expected header value.
+ * @param {string|RegExp} value
+ * @returns {string}
+ */
+function describe(value) {
+    return value instanceof RegExp ? 'match ' + value : 'equal ' + inspect(String(value));
+}
+
+/**
+ * Get a short printable version of a value.
+ * @param {*} value
+ * @returns {string}
+ */
+function inspect(value) {
+    return nodeUtil.inspect(value, { breakLength: Infinity, depth: 4, maxStringLength: 200 });
+}
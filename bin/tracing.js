@@ -0,0 +1,327 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const crypto                = require('crypto');
+const fs                    = require('fs');
+const performance           = require('perf_hooks').performance;
+const pkg                   = require('../package.json');
+
+// span kinds and status codes as defined by OpenTelemetry
+const kinds = { internal: 1, server: 2 };
+const statusCodes = { unset: 0, ok: 1, error: 2 };
+
+/**
+ * @typedef {object} Span
+ * @property {Object<string,string|number|boolean>} attributes
+ * @property {number} endTime Milliseconds since the epoch.
+ * @property {Array<{attributes: object, name: string, time: number}>} events
+ * @property {number} kind 1 for internal spans and 2 for server spans.
+ * @property {string} name
+ * @property {string} [parentSpanId]
+ * @property {string} spanId
+ * @property {number} startTime Milliseconds since the epoch.
+ * @property {{code: number, message: string}} status The code is 0 for unset, 1 for ok, or 2 for error.
+ * @property {string} traceId
+ * @property {string} traceState
+ */
+
+/**
+ * Get a tracer for the tracing configuration.
+ * @param {function|{export: function}|{exporter: function|{export: function}}} tracing The tracing configuration.
+ * Either an exporter or an object with an exporter.
+ * @returns {{trace: function(Request)}|null}
+ * @throws {Error}
+ */
+exports.tracer = function(tracing) {
+    if (!tracing) return null;
+
+    const exporter = tracing.hasOwnProperty('exporter') ? tracing.exporter : tracing;
+    const send = typeof exporter === 'function'
+        ? exporter
+        : exporter && typeof exporter.export === 'function' ? spans => exporter.export(spans) : null;
+    if (!send) {
+        const err = Error('Tracing requires an exporter function or an object with an export function.');
+        err.code = 'ESTRACE';
+        throw err;
+    }
+
+    return {
+        trace: req => trace(req, send)
+    };
+};
+
+/**
+ * Parse a W3C traceparent header.
+ * @param {string} header
+ * @returns {{parentId: string, traceFlags: number, traceId: string, version: string}|null} The parsed header or null
+ * if it is not valid.
+ */
+exports.parseTraceparent = function(header) {
+    const match = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/.exec(String(header || '').trim());
+    if (!match) return null;
+
+    const version = match[1];
+    if (version === 'ff' || (version === '00' && match[5] !== undefined)) return null;
+    if (/^0+$/.test(match[2]) || /^0+$/.test(match[3])) return null;
+
+    return {
+        parentId: match[3],
+        traceFlags: parseInt(match[4], 16),
+        traceId: match[2],
+        version: version
+    };
+};
+
+/**
+ * Get an exporter that keeps spans in memory.
+ * @returns {{export: function(Span[]), reset: function, spans: Span[]}}
+ */
+exports.memoryExporter = function() {
+    const exporter = {
+        export: spans => spans.forEach(span => exporter.spans.push(span)),
+        reset: () => exporter.spans.splice(0),
+        spans: []
+    };
+    return exporter;
+};
+
+/**
+ * Get an exporter that appends spans to a file in the OTLP JSON format, one export request per line.
+ * @param {string} path The file path.
+ * @param {object} [options]
+ * @param {string} [options.serviceName='sans-server'] The service.name resource attribute.
+ * @returns {{export: function(Span[]), flush: function(): Promise}}
+ */
+exports.fileExporter = function(path, options) {
+    options = Object.assign({ serviceName: pkg.name }, options);
+    let writing = Promise.resolve();
+
+    return {
+        export: spans => {
+            const line = JSON.stringify(exports.toOTLP(spans, options.serviceName)) + '\n';
+            writing = writing
+                .then(() => new Promise((resolve, reject) => {
+                    fs.appendFile(path, line, err => err ? reject(err) : resolve());
+                }))
+                .catch(err => process.emitWarning('Unable to write trace file: ' + err.message));
+        },
+        flush: () => writing
+    };
+};
+
+/**
+ * Convert spans to an OTLP JSON export request.
+ * @param {Span[]} spans
+ * @param {string} [serviceName='sans-server']
+ * @returns {{resourceSpans: Array<object>}}
+ */
+exports.toOTLP = function(spans, serviceName) {
+    return {
+        resourceSpans: [{
+            resource: { attributes: attributes({ 'service.name': serviceName || pkg.name }) },
+            scopeSpans: [{
+                scope: { name: pkg.name, version: pkg.version },
+                spans: spans.map(span => {
+                    const result = {
+                        traceId: span.traceId,
+                        spanId: span.spanId,
+                        name: span.name,
+                        kind: span.kind,
+                        startTimeUnixNano: nanoseconds(span.startTime),
+                        endTimeUnixNano: nanoseconds(span.endTime),
+                        attributes: attributes(span.attributes),
+                        events: span.events.map(event => ({
+                            timeUnixNano: nanoseconds(event.time),
+                            name: event.name,
+                            attributes: attributes(event.attributes)
+                        })),
+                        status: span.status.message
+                            ? { code: span.status.code, message: span.status.message }
+                            : { code: span.status.code }
+                    };
+                    if (span.parentSpanId) result.parentSpanId = span.parentSpanId;
+                    if (span.traceState) result.traceState = span.traceState;
+                    return result;
+                })
+            }]
+        }]
+    };
+};
+
+/**
+ * Trace a request with a span for the request and a child span for each hook.
+ * @param {Request} req
+ * @param {function(Span[])} send
+ */
+function trace(req, send) {
+    const parent = exports.parseTraceparent(req.headers.traceparent);
+    const traceId = parent ? parent.traceId : randomId(16);
+    const traceFlags = parent ? parent.traceFlags : 1;
+    const traceState = parent && typeof req.headers.tracestate === 'string' ? req.headers.tracestate.trim() : '';
+    const spans = [];
+    const open = new Map();
+
+    const root = span(traceId, parent ? parent.parentId : undefined, traceState, req.method, kinds.server);
+    root.attributes['http.request.method'] = req.method;
+    root.attributes['url.path'] = req.path;
+    root.attributes['sans_server.request_id'] = req.id;
+    spans.push(root);
+
+    /**
+     * The trace context of the request, for propagating the trace to other services.
+     * @name Request#trace
+     * @type {{sampled: boolean, spanId: string, traceId: string, traceparent: string, tracestate: string}}
+     */
+    req.trace = {
+        sampled: (traceFlags & 1) === 1,
+        spanId: root.spanId,
+        traceId: traceId,
+        traceparent: '00-' + traceId + '-' + root.spanId + '-' + (traceFlags & 1 ? '01' : '00'),
+        tracestate: traceState
+    };
+
+    req.on('hook-start', hook => {
+        const child = span(traceId, root.spanId, traceState, hook.type + ' hook ' + hook.name, kinds.internal);
+        child.startTime = hook.start;
+        child.attributes['sans_server.hook.type'] = hook.type;
+        child.attributes['sans_server.hook.name'] = hook.name;
+        child.attributes['sans_server.hook.weight'] = hook.weight;
+        spans.push(child);
+        open.set(hook, child);
+    });
+
+    req.on('hook-end', hook => {
+        const child = open.get(hook);
+        if (!child) return;
+        open.delete(hook);
+        child.endTime = hook.start + hook.duration;
+        if (hook.error) fail(child, hook.error, child.endTime);
+    });
+
+    req.on('error', err => fail(root, err, now()));
+
+    const end = state => {
+        const time = now();
+        if (req.route) {
+            root.name = req.method + ' ' + req.route;
+            root.attributes['http.route'] = req.route;
+        }
+        root.attributes['http.response.status_code'] = state.statusCode;
+        if (state.statusCode >= 500 && root.status.code !== statusCodes.error) {
+            root.status = { code: statusCodes.error, message: '' };
+        }
+        root.endTime = time;
+
+        // hooks that are still running end with the request
+        open.forEach(child => child.endTime = time);
+        open.clear();
+
+        if (req.trace.sampled) send(spans);
+    };
+    req.then(end, () => end(req.res.state))
+        .catch(err => process.emitWarning('Unable to export trace: ' + (err && err.message ? err.message : err)));
+}
+
+/**
+ * Record an error on a span.
+ * @param {Span} span
+ * @param {*} err
+ * @param {number} time
+ */
+function fail(span, err, time) {
+    const message = err && err.message ? err.message : String(err);
+    span.status = { code: statusCodes.error, message: message };
+    span.events.push({
+        attributes: {
+            'exception.message': message,
+            'exception.type': err && err.name ? err.name : typeof err
+        },
+        name: 'exception',
+        time: time
+    });
+}
+
+/**
+ * Convert attributes to the OTLP key value list format.
+ * @param {Object<string,string|number|boolean>} values
+ * @returns {Array<{key: string, value: object}>}
+ */
+function attributes(values) {
+    return Object.keys(values).map(key => {
+        const value = values[key];
+        if (typeof value === 'boolean') return { key: key, value: { boolValue: value } };
+        if (Number.isInteger(value)) return { key: key, value: { intValue: String(value) } };
+        if (typeof value === 'number') return { key: key, value: { doubleValue: value } };
+        return { key: key, value: { stringValue: String(value) } };
+    });
+}
+
+/**
+ * Convert milliseconds since the epoch to a string of nanoseconds since the epoch.
+ * @param {number} milliseconds
+ * @returns {string}
+ */
+function nanoseconds(milliseconds) {
+    return (BigInt(Math.floor(milliseconds)) * 1000000n + BigInt(Math.round((milliseconds % 1) * 1000000))).toString();
+}
+
+/**
+ * Get the current time in milliseconds since the epoch, with sub-millisecond precision.
+ * @returns {number}
+ */
+function now() {
+    return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Generate a random non-zero lower case hex ID.
+ * @param {number} bytes
+ * @returns {string}
+ */
+function randomId(bytes) {
+    let id;
+    do {
+        id = crypto.randomBytes(bytes).toString('hex');
+    } while (/^0+$/.test(id));
+    return id;
+}
+
+/**
+ * Create a span that starts now.
+ * @param {string} traceId
+ * @param {string} [parentSpanId]
+ * @param {string} traceState
+ * @param {string} name
+ * @param {number} kind
+ * @returns {Span}
+ */
+function span(traceId, parentSpanId, traceState, name, kind) {
+    const result = {
+        attributes: {},
+        endTime: 0,
+        events: [],
+        kind: kind,
+        name: name,
+        spanId: randomId(8),
+        startTime: now(),
+        status: { code: statusCodes.unset, message: '' },
+        traceId: traceId,
+        traceState: traceState
+    };
+    if (parentSpanId) result.parentSpanId = parentSpanId;
+    return result;
+}
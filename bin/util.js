@@ -15,6 +15,7 @@
  *    limitations under the License.
  **/
 'use strict';
+const crypto    = require('crypto');
 const util      = require('util');
 
 /**
@@ -36,6 +37,15 @@ exports.format = function(args) {
     return util.format.apply(util, args);
 };
 
+/**
+ * Check to see if a value is an async iterable that is not a stream.
+ * @param {*} value
+ * @returns {boolean}
+ */
+exports.isAsyncIterable = function(value) {
+    return !!value && typeof value[Symbol.asyncIterator] === 'function' && !exports.isStream(value);
+};
+
 /**
  * Check to see if an object is plain.
  * @param {Object} o
@@ -51,6 +61,44 @@ exports.isPlainObject = function (o) {
     return !(!prototype || typeof prototype !== 'object' || !prototype.hasOwnProperty('isPrototypeOf'));
 };
 
+/**
+ * Check to see if a value is a readable stream.
+ * @param {*} value
+ * @returns {boolean}
+ */
+exports.isStream = function(value) {
+    return !!value && typeof value === 'object' && typeof value.pipe === 'function' && typeof value.on === 'function';
+};
+
+/**
+ * Sign a value using an HMAC.
+ * @param {string} value
+ * @param {string} secret
+ * @returns {string} The value followed by a period and the signature.
+ */
+exports.sign = function(value, secret) {
+    return value + '.' + signature(value, secret);
+};
+
+/**
+ * Get the original value from a signed value if the signature matches any of the secrets.
+ * @param {string} signed
+ * @param {string[]} secrets
+ * @returns {string|boolean} The original value or false if the signature does not match.
+ */
+exports.unsign = function(signed, secrets) {
+    const index = signed.lastIndexOf('.');
+    if (index === -1) return false;
+
+    const value = signed.substr(0, index);
+    const actual = Buffer.from(signed.substr(index + 1));
+    const match = secrets.some(secret => {
+        const expected = Buffer.from(signature(value, secret));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    });
+    return match ? value : false;
+};
+
 exports.seconds = function seconds(milliseconds) {
     let seconds = milliseconds / 1000;
 
@@ -64,6 +112,16 @@ exports.seconds = function seconds(milliseconds) {
     return numeral + '.' + (!decimal ? '000' : decimal + '0'.repeat(3)).substr(0, 4 - nLength);
 };
 
+/**
+ * Produce an HMAC signature for a value.
+ * @param {string} value
+ * @param {string} secret
+ * @returns {string}
+ */
+function signature(value, secret) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64').replace(/=+$/, '');
+}
+
 /**
  * Perform a deep copy of a value.
  * @param {*} obj
@@ -73,6 +131,10 @@ exports.seconds = function seconds(milliseconds) {
 function copy(obj, map) {
     if (map.has(obj)) {
         return map.get(obj);
+    } else if (Buffer.isBuffer(obj)) {
+        const result = Buffer.from(obj);
+        map.set(obj, result);
+        return result;
     } else if (Array.isArray(obj)) {
         const result = [];
         map.set(obj, result);
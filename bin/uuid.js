@@ -17,24 +17,19 @@
 'use strict';
 const uuid                  = require('uuid').v4;
 
-const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz01234567890'.split('');
-const length = chars.length;
+const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'.split('');
+const base = BigInt(chars.length);
+
+// 22 base 62 characters hold all 128 bits of a UUID
+const length = 22;
 
 // take a UUID and shorten it
 module.exports = function() {
-    return uuid()
-        .split('-')
-        .map(function(v) {
-            let num = parseInt(v, 16);
-            let result = '';
-            let mod;
-            let quot;
-            while (num > length) {
-                mod = num % length;
-                num = Math.floor(num / length);
-                result = result + chars[mod];
-            }
-            return result;
-        })
-        .join('');
-};
\ No newline at end of file
+    let num = BigInt('0x' + uuid().replace(/-/g, ''));
+    let result = '';
+    while (result.length < length) {
+        result = chars[Number(num % base)] + result;
+        num = num / base;
+    }
+    return result;
+};
@@ -0,0 +1,137 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const bufferStream      = require('../bin/hooks/buffer-stream');
+const expect            = require('chai').expect;
+const SansServer        = require('../bin/server/sans-server');
+const zlib              = require('zlib');
+
+describe('compress', () => {
+    const large = { items: new Array(200).fill('compressible') };
+    let server;
+
+    beforeEach(() => {
+        server = SansServer({ compression: true, logs: false, rejectable: true });
+    });
+
+    function decode(state) {
+        return Buffer.from(state.body, 'base64');
+    }
+
+    it('is disabled by default', () => {
+        const server = SansServer({ logs: false });
+        server.use((req, res) => res.send(large));
+        return server.request({ headers: { 'accept-encoding': 'gzip' } })
+            .then(res => expect(res.headers).not.to.have.property('content-encoding'));
+    });
+
+    it('gzip', () => {
+        server.use((req, res) => res.send(large));
+        return server.request({ headers: { 'accept-encoding': 'gzip' } })
+            .then(res => {
+                expect(res.headers['content-encoding']).to.equal('gzip');
+                expect(res.headers['vary']).to.equal('Accept-Encoding');
+                expect(res.headers['content-type']).to.equal('application/json');
+                expect(res.encoding).to.equal('base64');
+                expect(JSON.parse(zlib.gunzipSync(decode(res)))).to.deep.equal(large);
+            });
+    });
+
+    it('prefers brotli', () => {
+        server.use((req, res) => res.send(large));
+        return server.request({ headers: { 'accept-encoding': 'gzip, deflate, br' } })
+            .then(res => {
+                expect(res.headers['content-encoding']).to.equal('br');
+                expect(JSON.parse(zlib.brotliDecompressSync(decode(res)))).to.deep.equal(large);
+            });
+    });
+
+    it('honors quality values', () => {
+        server.use((req, res) => res.send(large));
+        return server.request({ headers: { 'accept-encoding': 'br;q=0.5, deflate' } })
+            .then(res => {
+                expect(res.headers['content-encoding']).to.equal('deflate');
+                expect(JSON.parse(zlib.inflateSync(decode(res)))).to.deep.equal(large);
+            });
+    });
+
+    it('does not compress without accept-encoding', () => {
+        server.use((req, res) => res.send(large));
+        return server.request()
+            .then(res => {
+                expect(res.headers).not.to.have.property('content-encoding');
+                expect(res.headers['vary']).to.equal('Accept-Encoding');
+            });
+    });
+
+    it('does not compress below threshold', () => {
+        server.use((req, res) => res.send({ a: 1 }));
+        return server.request({ headers: { 'accept-encoding': 'gzip' } })
+            .then(res => {
+                expect(res.headers).not.to.have.property('content-encoding');
+                expect(res.body).to.equal('{"a":1}');
+            });
+    });
+
+    it('uses threshold option', () => {
+        const server = SansServer({ compression: { threshold: 0 }, logs: false });
+        server.use((req, res) => res.send({ a: 1 }));
+        return server.request({ headers: { 'accept-encoding': 'gzip' } })
+            .then(res => expect(zlib.gunzipSync(decode(res)).toString()).to.equal('{"a":1}'));
+    });
+
+    it('skips compressed content types', () => {
+        server.use((req, res) => res.set('content-type', 'image/png').send(Buffer.alloc(2048)));
+        return server.request({ headers: { 'accept-encoding': 'gzip' } })
+            .then(res => {
+                expect(res.headers).not.to.have.property('content-encoding');
+                expect(res.headers).not.to.have.property('vary');
+            });
+    });
+
+    it('compresses binary bodies', () => {
+        const buffer = Buffer.alloc(2048, 7);
+        server.use((req, res) => res.send(buffer));
+        return server.request({ headers: { 'accept-encoding': 'gzip' } })
+            .then(res => expect(zlib.gunzipSync(decode(res)).equals(buffer)).to.be.true);
+    });
+
+    it('compresses streams', () => {
+        server.use((req, res) => {
+            res.set('content-type', 'text/plain');
+            res.write('hello ');
+            res.end('world');
+        });
+        return server.request({ headers: { 'accept-encoding': 'gzip' } })
+            .then(res => {
+                expect(res.headers['content-encoding']).to.equal('gzip');
+                return bufferStream.read(res.body);
+            })
+            .then(buffer => expect(zlib.gunzipSync(buffer).toString()).to.equal('hello world'));
+    });
+
+    it('makes strong etag weak', () => {
+        server.use((req, res) => res.set('ETag', '"abc"').send(large));
+        return server.request({ headers: { 'accept-encoding': 'gzip' } })
+            .then(res => expect(res.headers.etag).to.equal('W/"abc"'));
+    });
+
+    it('rejects unsupported encodings', () => {
+        expect(() => SansServer.hooks.compress({ encodings: ['zip'] })).to.throw(/Unsupported/);
+    });
+
+});
@@ -0,0 +1,185 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const conditional       = require('../bin/hooks/conditional');
+const expect            = require('chai').expect;
+const SansServer        = require('../bin/server/sans-server');
+
+describe('conditional', () => {
+    const lastModified = 'Wed, 01 Mar 2017 00:00:00 GMT';
+    let saves;
+    let server;
+
+    beforeEach(() => {
+        saves = 0;
+        server = SansServer({ etag: true, logs: false, rejectable: true });
+        server.get('/', (req, res) => res.set('Last-Modified', lastModified).send({ a: 1 }));
+        server.put('/', (req, res) => res.send({ a: 2 }));
+        server.put('/item', (req, res) => {
+            if (req.preconditionFailed(conditional.etag('{"a":1}'), lastModified)) return res.sendStatus(412);
+            saves++;
+            res.send({ a: 2 });
+        });
+        server.post('/item', (req, res) => {
+            if (req.preconditionFailed(undefined)) return res.sendStatus(412);
+            saves++;
+            res.status(201).send({ a: 1 });
+        });
+    });
+
+    it('is disabled by default', () => {
+        const server = SansServer({ logs: false });
+        server.use((req, res) => res.send('ok'));
+        return server.request()
+            .then(res => expect(res.headers).not.to.have.property('etag'));
+    });
+
+    it('sets a weak etag', () => {
+        return server.request()
+            .then(res => {
+                expect(res.statusCode).to.equal(200);
+                expect(res.headers.etag).to.equal(conditional.etag('{"a":1}', true));
+                expect(res.headers.etag).to.match(/^W\/"7-/);
+            });
+    });
+
+    it('sets a strong etag', () => {
+        const server = SansServer({ etag: 'strong', logs: false });
+        server.use((req, res) => res.send(Buffer.from([1, 2, 3])));
+        return server.request()
+            .then(res => expect(res.headers.etag).to.equal(conditional.etag(Buffer.from([1, 2, 3]))));
+    });
+
+    it('keeps an existing etag', () => {
+        server.use((req, res) => res.set('ETag', '"abc"').send('ok'));
+        return server.request('/foo')
+            .then(res => expect(res.headers.etag).to.equal('"abc"'));
+    });
+
+    it('does not set etag for non 2xx', () => {
+        return server.request('/missing')
+            .then(res => {
+                expect(res.statusCode).to.equal(404);
+                expect(res.headers).not.to.have.property('etag');
+            });
+    });
+
+    it('if-none-match responds with 304', () => {
+        const tag = conditional.etag('{"a":1}', true);
+        return server.request({ path: '/', headers: { 'if-none-match': '"x", ' + tag } })
+            .then(res => {
+                expect(res.statusCode).to.equal(304);
+                expect(res.body).to.equal('');
+                expect(res.headers.etag).to.equal(tag);
+                expect(res.headers['last-modified']).to.equal(lastModified);
+                expect(res.headers).not.to.have.property('content-type');
+            });
+    });
+
+    it('if-none-match with different etag responds with 200', () => {
+        return server.request({ path: '/', headers: { 'if-none-match': '"x"' } })
+            .then(res => expect(res.statusCode).to.equal(200));
+    });
+
+    it('if-none-match for unsafe method fails the precondition', () => {
+        return server.request({ method: 'PUT', path: '/item', headers: { 'if-none-match': '*' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(412);
+                expect(res.body).to.equal('Precondition Failed');
+                expect(saves).to.equal(0);
+            });
+    });
+
+    it('if-none-match any for unsafe method passes the precondition for a missing resource', () => {
+        return server.request({ method: 'POST', path: '/item', headers: { 'if-none-match': '*' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(201);
+                expect(saves).to.equal(1);
+            });
+    });
+
+    it('if-modified-since responds with 304', () => {
+        return server.request({ path: '/', headers: { 'if-modified-since': lastModified } })
+            .then(res => expect(res.statusCode).to.equal(304));
+    });
+
+    it('if-modified-since with older date responds with 200', () => {
+        return server.request({ path: '/', headers: { 'if-modified-since': 'Tue, 28 Feb 2017 00:00:00 GMT' } })
+            .then(res => expect(res.statusCode).to.equal(200));
+    });
+
+    it('if-none-match takes precedence over if-modified-since', () => {
+        const headers = { 'if-none-match': '"x"', 'if-modified-since': lastModified };
+        return server.request({ path: '/', headers: headers })
+            .then(res => expect(res.statusCode).to.equal(200));
+    });
+
+    it('if-match with the current strong etag passes the precondition', () => {
+        const tag = conditional.etag('{"a":1}');
+        return server.request({ method: 'PUT', path: '/item', headers: { 'if-match': tag } })
+            .then(res => {
+                expect(res.statusCode).to.equal(200);
+                expect(saves).to.equal(1);
+            });
+    });
+
+    it('if-match with a different etag does not call the handler', () => {
+        return server.request({ method: 'PUT', path: '/item', headers: { 'if-match': '"nope"' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(412);
+                expect(saves).to.equal(0);
+            });
+    });
+
+    it('if-match with weak etag fails the precondition', () => {
+        const tag = conditional.etag('{"a":1}', true);
+        return server.request({ method: 'PUT', path: '/item', headers: { 'if-match': tag } })
+            .then(res => {
+                expect(res.statusCode).to.equal(412);
+                expect(saves).to.equal(0);
+            });
+    });
+
+    it('if-unmodified-since before the last modified date fails the precondition', () => {
+        const headers = { 'if-unmodified-since': 'Tue, 28 Feb 2017 00:00:00 GMT' };
+        return server.request({ method: 'PUT', path: '/item', headers: headers })
+            .then(res => {
+                expect(res.statusCode).to.equal(412);
+                expect(saves).to.equal(0);
+            });
+    });
+
+    it('if-unmodified-since on the last modified date passes the precondition', () => {
+        const req = server.request({ method: 'PUT', path: '/item', headers: { 'if-unmodified-since': lastModified } });
+        expect(req.preconditionFailed('"a"', new Date(Date.parse(lastModified) + 500))).to.equal(false);
+        return req.then(res => expect(res.statusCode).to.equal(200));
+    });
+
+    it('response hook does not evaluate preconditions after the handler has run', () => {
+        return server.request({ method: 'PUT', path: '/', headers: { 'if-match': '"nope"' } })
+            .then(res => expect(res.statusCode).to.equal(200));
+    });
+
+    it('can be added as a hook', () => {
+        const server = SansServer({ logs: false });
+        server.hook('response', -100010, SansServer.hooks.conditional({ weak: false }));
+        server.use((req, res) => res.send('ok'));
+        return server.request({ headers: { 'if-none-match': conditional.etag('ok') } })
+            .then(res => expect(res.statusCode).to.equal(304));
+    });
+
+});
@@ -0,0 +1,167 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const SansServer        = require('../bin/server/sans-server');
+
+describe('cors', () => {
+    const origin = 'https://example.com';
+
+    function create(cors) {
+        const server = SansServer({ cors: cors, logs: false, rejectable: true });
+        server.get('/users', (req, res) => res.send([]));
+        server.post('/users', (req, res) => res.sendStatus(201));
+        return server;
+    }
+
+    function preflight(server, path, headers) {
+        return server.request({
+            method: 'OPTIONS',
+            path: path || '/users',
+            headers: Object.assign({ origin: origin, 'access-control-request-method': 'POST' }, headers)
+        });
+    }
+
+    it('is disabled by default', () => {
+        const server = SansServer({ logs: false });
+        server.use((req, res) => res.send('ok'));
+        return server.request({ headers: { origin: origin } })
+            .then(res => expect(res.headers).not.to.have.property('access-control-allow-origin'));
+    });
+
+    it('decorates responses with any origin', () => {
+        return create(true).request({ path: '/users', headers: { origin: origin } })
+            .then(res => {
+                expect(res.statusCode).to.equal(200);
+                expect(res.headers['access-control-allow-origin']).to.equal('*');
+                expect(res.headers).not.to.have.property('vary');
+            });
+    });
+
+    it('does not decorate requests without origin', () => {
+        return create(true).request('/users')
+            .then(res => expect(res.headers).not.to.have.property('access-control-allow-origin'));
+    });
+
+    it('answers preflight with route methods', () => {
+        return preflight(create({ maxAge: 600 }), '/users', { 'access-control-request-headers': 'X-Foo' })
+            .then(res => {
+                expect(res.statusCode).to.equal(204);
+                expect(res.body).to.equal('');
+                expect(res.headers['access-control-allow-methods']).to.equal('GET, HEAD, POST');
+                expect(res.headers['access-control-allow-headers']).to.equal('X-Foo');
+                expect(res.headers['access-control-max-age']).to.equal('600');
+                expect(res.headers['access-control-allow-origin']).to.equal('*');
+                expect(res.headers['vary']).to.equal('Access-Control-Request-Headers');
+                expect(res.headers).not.to.have.property('content-type');
+            });
+    });
+
+    it('preflight for unknown path is not answered', () => {
+        return preflight(create(true), '/unknown')
+            .then(res => {
+                expect(res.statusCode).to.equal(404);
+                expect(res.headers).not.to.have.property('access-control-allow-methods');
+            });
+    });
+
+    it('preflight without routes allows the requested method', () => {
+        const server = SansServer({ cors: true, logs: false });
+        server.use((req, res, next) => {
+            if (req.method === 'POST') return res.sendStatus(201);
+            next();
+        });
+        return preflight(server, '/api', { 'access-control-request-method': 'post' })
+            .then(res => {
+                expect(res.statusCode).to.equal(204);
+                expect(res.headers['access-control-allow-methods']).to.equal('POST');
+                expect(res.headers['access-control-allow-origin']).to.equal('*');
+            });
+    });
+
+    it('preflight without routes is not answered for an invalid method', () => {
+        const server = SansServer({ cors: true, logs: false });
+        server.use((req, res, next) => next());
+        return preflight(server, '/api', { 'access-control-request-method': 'FOO' })
+            .then(res => {
+                expect(res.statusCode).to.equal(404);
+                expect(res.headers).not.to.have.property('access-control-allow-methods');
+            });
+    });
+
+    it('preflight for unknown path uses methods option', () => {
+        return preflight(create({ methods: ['get', 'put'], allowedHeaders: ['X-Foo', 'X-Bar'] }), '/unknown')
+            .then(res => {
+                expect(res.statusCode).to.equal(204);
+                expect(res.headers['access-control-allow-methods']).to.equal('GET, PUT');
+                expect(res.headers['access-control-allow-headers']).to.equal('X-Foo, X-Bar');
+            });
+    });
+
+    it('preflight handled by route is decorated', () => {
+        const server = create(true);
+        server.options('/users', (req, res) => res.set('Allow', 'GET, POST').sendStatus(200));
+        return preflight(server)
+            .then(res => {
+                expect(res.statusCode).to.equal(200);
+                expect(res.headers['access-control-allow-methods']).to.equal('GET, POST');
+            });
+    });
+
+    it('origin list', () => {
+        const server = create({ origin: ['https://a.com', /\.example\.com$/] });
+        return server.request({ path: '/users', headers: { origin: 'https://www.example.com' } })
+            .then(res => {
+                expect(res.headers['access-control-allow-origin']).to.equal('https://www.example.com');
+                expect(res.headers['vary']).to.equal('Origin');
+                return server.request({ path: '/users', headers: { origin: 'https://b.com' } });
+            })
+            .then(res => {
+                expect(res.statusCode).to.equal(200);
+                expect(res.headers).not.to.have.property('access-control-allow-origin');
+            });
+    });
+
+    it('origin not allowed for preflight', () => {
+        return preflight(create({ origin: 'https://a.com' }))
+            .then(res => {
+                expect(res.statusCode).to.equal(405);
+                expect(res.headers).not.to.have.property('access-control-allow-origin');
+            });
+    });
+
+    it('origin function', () => {
+        const server = create({ origin: (value, req) => Promise.resolve(value === origin && req.path === '/users') });
+        return server.request({ path: '/users', headers: { origin: origin } })
+            .then(res => expect(res.headers['access-control-allow-origin']).to.equal(origin));
+    });
+
+    it('credentials reflect origin', () => {
+        return preflight(create({ credentials: true }))
+            .then(res => {
+                expect(res.headers['access-control-allow-origin']).to.equal(origin);
+                expect(res.headers['access-control-allow-credentials']).to.equal('true');
+                expect(res.headers['vary']).to.equal('Access-Control-Request-Headers, Origin');
+            });
+    });
+
+    it('exposed headers', () => {
+        return create({ exposedHeaders: ['X-Total', 'ETag'] }).request({ path: '/users', headers: { origin: origin } })
+            .then(res => expect(res.headers['access-control-expose-headers']).to.equal('X-Total, ETag'));
+    });
+
+});
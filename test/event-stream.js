@@ -0,0 +1,190 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const http              = require('http');
+const SansServer        = require('../bin/server/sans-server');
+
+describe('event-stream', () => {
+    const read = SansServer.hooks.bufferStream.read;
+    let server;
+
+    beforeEach(() => {
+        server = SansServer({ logs: false, rejectable: true });
+    });
+
+    it('sends event stream headers', () => {
+        server.use((req, res) => res.sse().close());
+        return server.request()
+            .then(res => {
+                expect(res.statusCode).to.equal(200);
+                expect(res.headers['content-type']).to.equal('text/event-stream; charset=utf-8');
+                expect(res.headers['cache-control']).to.equal('no-cache, no-transform');
+            });
+    });
+
+    it('sends events', () => {
+        server.use((req, res) => {
+            res.sse()
+                .send('hello')
+                .send({ event: 'progress', id: '1', data: { percent: 50 } })
+                .send({ data: 'line 1\nline 2' })
+                .send({ retry: 5000 })
+                .close();
+        });
+        return server.request()
+            .then(res => read(res.body))
+            .then(body => {
+                expect(body.toString()).to.equal(
+                    'data: hello\n\n' +
+                    'event: progress\nid: 1\ndata: {"percent":50}\n\n' +
+                    'data: line 1\ndata: line 2\n\n' +
+                    'retry: 5000\n\n');
+            });
+    });
+
+    it('sends comments', () => {
+        server.use((req, res) => res.sse().comment('hi').comment().close());
+        return server.request()
+            .then(res => read(res.body))
+            .then(body => expect(body.toString()).to.equal(': hi\n\n:\n\n'));
+    });
+
+    it('sends heartbeats', () => {
+        server.use((req, res) => {
+            const events = res.sse({ heartbeat: 0.01 });
+            setTimeout(() => events.close(), 35);
+        });
+        return server.request()
+            .then(res => read(res.body))
+            .then(body => expect(body.toString()).to.match(/^(:\n\n)+$/));
+    });
+
+    it('rejects invalid fields', () => {
+        server.use((req, res) => {
+            const events = res.sse();
+            expect(() => events.send({ event: 'a\nb' })).to.throw(/line breaks/);
+            expect(() => events.send({ id: 'a\rb' })).to.throw(/line breaks/);
+            expect(() => events.send({ retry: -1 })).to.throw(/retry/);
+            events.close();
+        });
+        return server.request();
+    });
+
+    it('runs response hooks before streaming', () => {
+        server.hook('response', 0, (req, res, next) => {
+            res.set('X-Hooked', 'yes');
+            next();
+        });
+        server.use((req, res) => res.sse().send('a').close());
+        return server.request()
+            .then(res => {
+                expect(res.headers['x-hooked']).to.equal('yes');
+                return read(res.body);
+            })
+            .then(body => expect(body.toString()).to.equal('data: a\n\n'));
+    });
+
+    it('is not compressed', () => {
+        const server = SansServer({ compression: true, logs: false });
+        server.use((req, res) => res.sse().close());
+        return server.request({ headers: { 'accept-encoding': 'gzip' } })
+            .then(res => expect(res.headers).not.to.have.property('content-encoding'));
+    });
+
+    it('cannot start after the response is sent', () => {
+        server.use((req, res) => {
+            res.send('ok');
+            expect(() => res.sse()).to.throw(/already sent/);
+        });
+        return server.request();
+    });
+
+    it('fires close once', () => {
+        let count = 0;
+        server.use((req, res) => {
+            const events = res.sse();
+            events.on('close', () => count++);
+            events.close();
+            events.close();
+            expect(events.closed).to.equal(true);
+            events.send('ignored');
+        });
+        return server.request()
+            .then(res => read(res.body))
+            .then(body => {
+                expect(count).to.equal(1);
+                expect(body.toString()).to.equal('');
+            });
+    });
+
+    it('closes when the request is aborted', () => {
+        let events;
+        server.use((req, res) => {
+            events = res.sse();
+        });
+        const req = server.request();
+        return req
+            .then(() => {
+                const closed = new Promise(resolve => events.on('close', resolve));
+                req.abort();
+                return closed;
+            })
+            .then(() => expect(events.closed).to.equal(true));
+    });
+
+    describe('http', () => {
+        let listener;
+
+        beforeEach(done => {
+            listener = server.listen(0, done);
+        });
+
+        afterEach(done => {
+            listener.close(done);
+        });
+
+        it('streams events and closes when the client disconnects', () => {
+            return new Promise((resolve, reject) => {
+                server.use((req, res) => {
+                    const events = res.sse();
+                    events.on('close', resolve);
+                    events.send({ event: 'ready', data: 'ok' });
+                });
+                const client = http.get({ port: listener.address().port, path: '/' }, res => {
+                    try {
+                        expect(res.headers['content-type']).to.equal('text/event-stream; charset=utf-8');
+                    } catch (err) {
+                        reject(err);
+                    }
+                    res.setEncoding('utf8');
+                    res.once('data', chunk => {
+                        try {
+                            expect(chunk).to.equal('event: ready\ndata: ok\n\n');
+                        } catch (err) {
+                            reject(err);
+                        }
+                        client.destroy();
+                    });
+                });
+                client.on('error', () => {});
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,305 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const fs                = require('fs');
+const os                = require('os');
+const path              = require('path');
+const SansServer        = require('../bin/server/sans-server');
+
+describe('har', () => {
+    let server;
+
+    function routes(server, suffix) {
+        server.get('/users/:id', (req, res) => res.cookie('seen', 'yes', { path: '/', httpOnly: true })
+            .send({ id: req.params.id, q: req.query.q, suffix: suffix }));
+        server.post('/echo', (req, res) => res.set('content-type', 'application/octet-stream').send(req.body));
+        server.get('/stream', (req, res) => res.write('a').end());
+        return server;
+    }
+
+    beforeEach(() => {
+        server = routes(SansServer({ har: true, logs: false }), '');
+    });
+
+    it('is disabled by default', () => {
+        const server = SansServer({ logs: false });
+        expect(server.har()).to.equal(null);
+        return server.har.save()
+            .then(() => { throw Error('Expected rejection'); }, err => expect(err.code).to.equal('ESHAR'));
+    });
+
+    it('records HAR 1.2 entries', () => {
+        const req = server.request({ path: '/users/1', query: { q: ['a', 'b'] }, headers: { cookie: 'x=1', host: 'example.com' } });
+        return req
+            .then(() => {
+                const document = server.har();
+                expect(document.log.version).to.equal('1.2');
+                expect(document.log.creator.name).to.equal('sans-server');
+                expect(document.log.entries.length).to.equal(1);
+
+                const entry = document.log.entries[0];
+                expect(entry._requestId).to.equal(req.id);
+                expect(entry.startedDateTime).to.match(/^\d{4}-\d\d-\d\dT/);
+                expect(entry.time).to.be.at.least(0);
+                expect(entry.request.method).to.equal('GET');
+                expect(entry.request.url).to.equal('http://example.com/users/1?q=a&q=b');
+                expect(entry.request.headers).to.deep.include({ name: 'host', value: 'example.com' });
+                expect(entry.request.cookies).to.deep.equal([{ name: 'x', value: '1' }]);
+                expect(entry.request.queryString).to.deep.equal([{ name: 'q', value: 'a' }, { name: 'q', value: 'b' }]);
+
+                expect(entry.response.status).to.equal(200);
+                expect(entry.response.statusText).to.equal('OK');
+                expect(entry.response.headers).to.deep.include({ name: 'content-type', value: 'application/json' });
+                expect(entry.response.cookies).to.deep.equal([{ name: 'seen', value: 'yes', path: '/', httpOnly: true }]);
+                expect(entry.response.content.mimeType).to.equal('application/json');
+                expect(JSON.parse(entry.response.content.text)).to.deep.equal({ id: '1', q: ['a', 'b'], suffix: '' });
+
+                expect(entry.timings.wait).to.be.at.least(0);
+                expect(entry.timings.receive).to.be.at.least(0);
+                expect(entry.timings.wait + entry.timings.receive).to.equal(entry.time);
+            });
+    });
+
+    it('records request and response bodies', () => {
+        return server.request({ method: 'POST', path: '/echo', body: Buffer.from([1, 2, 3]) })
+            .then(() => {
+                const entry = server.har().log.entries[0];
+                expect(entry.request.postData).to.deep.equal({ mimeType: '', text: 'AQID', _encoding: 'base64' });
+                expect(entry.response.content).to.deep.equal({
+                    mimeType: 'application/octet-stream',
+                    text: 'AQID',
+                    encoding: 'base64',
+                    size: 3
+                });
+                expect(entry._sansServer.request).to.deep.equal({ method: 'POST', path: '/echo', body: 'AQID', bodyEncoding: 'base64' });
+            });
+    });
+
+    it('does not record stream bodies', () => {
+        return server.request('/stream')
+            .then(() => {
+                const content = server.har().log.entries[0].response.content;
+                expect(content).not.to.have.property('text');
+                expect(content.size).to.equal(-1);
+            });
+    });
+
+    it('limits the number of entries', () => {
+        const server = routes(SansServer({ har: { limit: 2 }, logs: false }), '');
+        return server.request('/users/1')
+            .then(() => server.request('/users/2'))
+            .then(() => server.request('/users/3'))
+            .then(() => {
+                const urls = server.har().log.entries.map(entry => entry.request.url);
+                expect(urls).to.deep.equal(['http://localhost/users/2', 'http://localhost/users/3']);
+            });
+    });
+
+    it('sends entries to a function', () => {
+        const entries = [];
+        const server = routes(SansServer({ har: entry => entries.push(entry), logs: false }), '');
+        return server.request('/users/1')
+            .then(() => {
+                expect(entries.length).to.equal(1);
+                expect(server.har().log.entries).to.deep.equal([]);
+            });
+    });
+
+    it('warns when the write function throws', () => {
+        const emitWarning = process.emitWarning;
+        const warnings = [];
+        process.emitWarning = message => warnings.push(message);
+        const server = routes(SansServer({ har: { write: () => { throw Error('Disk full'); } }, logs: false }), '');
+        return server.request('/users/1')
+            .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+            .then(() => {
+                process.emitWarning = emitWarning;
+                expect(warnings).to.deep.equal(['Unable to record HAR entry: Disk full']);
+            }, err => {
+                process.emitWarning = emitWarning;
+                throw err;
+            });
+    });
+
+    describe('files', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sans-server-har-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('writes to a file when saved', () => {
+            const file = path.join(dir, 'auto.har');
+            const server = routes(SansServer({ har: file, logs: false }), '');
+            return server.request('/users/1')
+                .then(() => server.request('/users/2'))
+                .then(() => server.har.save())
+                .then(() => {
+                    const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+                    expect(document.log.entries.length).to.equal(2);
+                });
+        });
+
+        it('writes the entries recorded during the delay together', () => {
+            const file = path.join(dir, 'delayed.har');
+            const server = routes(SansServer({ har: { delay: 20, path: file }, logs: false }), '');
+            return server.request('/users/1')
+                .then(() => server.request('/users/2'))
+                .then(() => {
+                    expect(fs.existsSync(file)).to.be.false;
+                    return new Promise(resolve => setTimeout(resolve, 50));
+                })
+                .then(() => {
+                    const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+                    expect(document.log.entries.length).to.equal(2);
+                });
+        });
+
+        it('saving to the configured path replaces the delayed write', () => {
+            const file = path.join(dir, 'flushed.har');
+            const server = routes(SansServer({ har: { delay: 20, path: file }, logs: false }), '');
+            return server.request('/users/1')
+                .then(() => server.har.save())
+                .then(() => {
+                    fs.unlinkSync(file);
+                    return new Promise(resolve => setTimeout(resolve, 50));
+                })
+                .then(() => expect(fs.existsSync(file)).to.be.false);
+        });
+
+        it('saves to a path', () => {
+            const file = path.join(dir, 'saved.har');
+            return server.request('/users/1')
+                .then(() => server.har.save(file))
+                .then(() => expect(JSON.parse(fs.readFileSync(file, 'utf8')).log.entries.length).to.equal(1));
+        });
+
+        it('replays from a file', () => {
+            const file = path.join(dir, 'replay.har');
+            return server.request('/users/1')
+                .then(() => server.har.save(file))
+                .then(() => server.replay(file))
+                .then(report => expect(report).to.deep.equal({ differences: [], matched: 1, total: 1 }));
+        });
+
+    });
+
+    describe('replay', () => {
+
+        function record() {
+            return server.request({ path: '/users/1', query: 'q=x' })
+                .then(() => server.request({ method: 'POST', path: '/echo', body: Buffer.from('abc') }))
+                .then(() => server.request('/stream'))
+                .then(() => server.har());
+        }
+
+        it('reports no differences for the same server', () => {
+            return record()
+                .then(document => routes(SansServer({ logs: false }), '').replay(document))
+                .then(report => expect(report).to.deep.equal({ differences: [], matched: 3, total: 3 }));
+        });
+
+        it('reports responses that differ', () => {
+            return record()
+                .then(document => {
+                    const other = SansServer({ logs: false });
+                    routes(other, 'changed');
+                    return other.replay(document);
+                })
+                .then(report => {
+                    expect(report.total).to.equal(3);
+                    expect(report.matched).to.equal(2);
+                    expect(report.differences.length).to.equal(1);
+                    const difference = report.differences[0];
+                    expect(difference.index).to.equal(0);
+                    expect(difference.method).to.equal('GET');
+                    expect(difference.url).to.equal('http://localhost/users/1?q=x');
+                    expect(difference.requestId).to.be.a('string');
+                    expect(difference.changes).to.deep.equal([{
+                        field: 'body',
+                        expected: '{"id":"1","q":"x","suffix":""}',
+                        actual: '{"id":"1","q":"x","suffix":"changed"}'
+                    }]);
+                });
+        });
+
+        it('reports status and header differences', () => {
+            return record()
+                .then(document => {
+                    const other = SansServer({ logs: false });
+                    other.get('/users/:id', (req, res) => res.status(404).set('x-new', '1').send('missing'));
+                    return other.replay({ log: { entries: [document.log.entries[0]] } });
+                })
+                .then(report => {
+                    const fields = report.differences[0].changes.map(change => change.field);
+                    expect(fields).to.deep.equal(['status', 'header content-type', 'header set-cookie', 'header x-new', 'body']);
+                });
+        });
+
+        it('can ignore headers', () => {
+            return record()
+                .then(document => {
+                    const other = routes(SansServer({ logs: false }), '');
+                    other.hook('response', 0, (req, res, next) => {
+                        res.set('x-time', String(Date.now()));
+                        next();
+                    });
+                    return other.replay(document, { ignoreHeaders: ['date', 'X-Time'] });
+                })
+                .then(report => expect(report.matched).to.equal(3));
+        });
+
+        it('replays entries that were not recorded by a server', () => {
+            const document = {
+                log: {
+                    entries: [{
+                        request: {
+                            method: 'POST',
+                            url: 'https://example.com/echo',
+                            headers: [{ name: 'Content-Type', value: 'text/plain' }],
+                            postData: { mimeType: 'text/plain', text: 'hello' }
+                        },
+                        response: {
+                            status: 200,
+                            headers: [{ name: 'content-type', value: 'application/octet-stream' }],
+                            content: { mimeType: 'application/octet-stream', text: 'hello' }
+                        }
+                    }]
+                }
+            };
+            return server.replay(document)
+                .then(report => expect(report.matched).to.equal(1));
+        });
+
+        it('reports request errors', () => {
+            return record()
+                .then(document => {
+                    const other = SansServer({ logs: false, rejectable: true });
+                    other.use(() => { throw Error('Oops'); });
+                    return other.replay({ log: { entries: [document.log.entries[0]] } });
+                })
+                .then(report => expect(report.differences[0].changes[0]).to.deep.equal({ field: 'error', expected: null, actual: 'Oops' }));
+        });
+
+    });
+
+});
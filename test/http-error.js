@@ -0,0 +1,181 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const SansServer        = require('../bin/server/sans-server');
+
+describe('http-error', () => {
+    let server;
+
+    beforeEach(() => {
+        server = SansServer({ logs: false, rejectable: true });
+    });
+
+    it('has status code, message, and details', () => {
+        const err = SansServer.error(404, 'Missing widget', { widget: 'abc' });
+        expect(err).to.be.instanceOf(Error);
+        expect(err).to.be.instanceOf(SansServer.HttpError);
+        expect(err.statusCode).to.equal(404);
+        expect(err.message).to.equal('Missing widget');
+        expect(err.details).to.deep.equal({ widget: 'abc' });
+        expect(err.expose).to.equal(true);
+    });
+
+    it('defaults message to the status message', () => {
+        expect(SansServer.error(409).message).to.equal('Conflict');
+    });
+
+    it('throws for invalid status codes', () => {
+        expect(() => SansServer.error(200)).to.throw(/status code/);
+        expect(() => SansServer.error(600)).to.throw(/status code/);
+        expect(() => SansServer.error('404')).to.throw(/status code/);
+    });
+
+    it('thrown error produces its status code', () => {
+        server.use(() => { throw SansServer.error(404, 'Missing widget'); });
+        return server.request()
+            .then(res => {
+                expect(res.statusCode).to.equal(404);
+                expect(res.headers['content-type']).to.equal('text/plain');
+                expect(res.body).to.equal('Missing widget');
+            });
+    });
+
+    it('error passed to next produces its status code', () => {
+        server.use((req, res, next) => next(SansServer.error(403)));
+        return server.request()
+            .then(res => {
+                expect(res.statusCode).to.equal(403);
+                expect(res.body).to.equal('Forbidden');
+            });
+    });
+
+    it('error body produces its status code', () => {
+        server.use((req, res) => res.send(SansServer.error(422, 'Invalid name')));
+        return server.request()
+            .then(res => {
+                expect(res.statusCode).to.equal(422);
+                expect(res.body).to.equal('Invalid name');
+            });
+    });
+
+    it('hides 5xx messages', () => {
+        server.use(() => { throw SansServer.error(503, 'Database is down'); });
+        return server.request()
+            .then(res => {
+                expect(res.statusCode).to.equal(503);
+                expect(res.body).to.equal('Service Unavailable');
+            });
+    });
+
+    it('thrown and body errors both run the response hooks', () => {
+        const server = SansServer({ cors: true, errorFormat: 'problem+json', logs: false });
+        server.get('/thrown', () => { throw SansServer.error(404); });
+        server.get('/next', (req, res, next) => next(SansServer.error(404)));
+        server.get('/body', (req, res) => res.send(SansServer.error(404)));
+        const headers = { origin: 'https://example.com' };
+        return Promise.all(['/thrown', '/next', '/body'].map(path => server.request({ path: path, headers: headers })))
+            .then(responses => responses.forEach(res => {
+                expect(res.statusCode).to.equal(404);
+                expect(res.headers['access-control-allow-origin']).to.equal('*');
+                expect(res.headers['content-type']).to.equal('application/problem+json');
+                expect(JSON.parse(res.body).status).to.equal(404);
+            }));
+    });
+
+    it('non http errors reject when rejectable', () => {
+        server.use(() => { throw Error('Oops'); });
+        return server.request()
+            .then(() => { throw Error('Should not resolve'); }, err => expect(err.message).to.equal('Oops'));
+    });
+
+    it('error hooks handle http errors first', () => {
+        server.use((req, res, next) => next(SansServer.error(404)));
+        server.use((err, req, res, next) => res.status(err.statusCode).send('custom'));
+        return server.request()
+            .then(res => {
+                expect(res.statusCode).to.equal(404);
+                expect(res.body).to.equal('custom');
+            });
+    });
+
+    it('invalid error format throws', () => {
+        expect(() => SansServer({ errorFormat: 'xml' })).to.throw(/error format/);
+    });
+
+    describe('problem+json', () => {
+
+        beforeEach(() => {
+            server = SansServer({ errorFormat: 'problem+json', logs: false, rejectable: true });
+        });
+
+        it('renders problem details', () => {
+            server.use(() => { throw SansServer.error(404, 'Missing widget', { widget: 'abc' }); });
+            const req = server.request();
+            return req
+                .then(res => {
+                    expect(res.statusCode).to.equal(404);
+                    expect(res.headers['content-type']).to.equal('application/problem+json');
+                    expect(JSON.parse(res.body)).to.deep.equal({
+                        type: 'about:blank',
+                        title: 'Not Found',
+                        status: 404,
+                        detail: 'Missing widget',
+                        instance: req.id,
+                        widget: 'abc'
+                    });
+                });
+        });
+
+        it('details can set type and title', () => {
+            server.use((req, res) => res.send(SansServer.error(400, 'Bad', { type: 'https://example.com/bad', title: 'Bad Input' })));
+            return server.request()
+                .then(res => {
+                    const body = JSON.parse(res.body);
+                    expect(body.type).to.equal('https://example.com/bad');
+                    expect(body.title).to.equal('Bad Input');
+                    expect(body.status).to.equal(400);
+                });
+        });
+
+        it('renders non http errors as 500', () => {
+            server = SansServer({ errorFormat: 'problem+json', logs: false });
+            server.use(() => { throw Error('Secret'); });
+            return server.request()
+                .then(res => {
+                    expect(res.statusCode).to.equal(500);
+                    const body = JSON.parse(res.body);
+                    expect(body.title).to.equal('Internal Server Error');
+                    expect(body.detail).to.equal('Internal Server Error');
+                });
+        });
+
+        it('request can override the format', () => {
+            server.use((req, res, next) => {
+                req.errorFormat = 'text';
+                next(SansServer.error(404));
+            });
+            return server.request()
+                .then(res => {
+                    expect(res.headers['content-type']).to.equal('text/plain');
+                    expect(res.body).to.equal('Not Found');
+                });
+        });
+
+    });
+
+});
@@ -0,0 +1,187 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const http              = require('http');
+const SansServer        = require('../bin/server/sans-server');
+
+describe('http adapter', () => {
+    let listener;
+    let server;
+
+    beforeEach(done => {
+        server = SansServer({ logs: false });
+        listener = server.listen(0, done);
+    });
+
+    afterEach(done => {
+        listener.close(done);
+    });
+
+    function request(options, body) {
+        return new Promise((resolve, reject) => {
+            const req = http.request(Object.assign({ port: listener.address().port }, options), res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    res.body = Buffer.concat(chunks);
+                    resolve(res);
+                });
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    it('converts incoming message to request', () => {
+        let received;
+        server.use((req, res, next) => {
+            received = req;
+            res.send('ok');
+        });
+        return request({ method: 'POST', path: '/foo?a=1', headers: { 'X-Foo': 'bar' } }, 'hello')
+            .then(res => {
+                expect(received.method).to.equal('POST');
+                expect(received.path).to.equal('/foo');
+                expect(received.query).to.deep.equal({ a: '1' });
+                expect(received.headers['x-foo']).to.equal('bar');
+                expect(received.body.toString()).to.equal('hello');
+                expect(res.statusCode).to.equal(200);
+                expect(res.body.toString()).to.equal('ok');
+            });
+    });
+
+    it('writes headers and cookies', () => {
+        server.use((req, res, next) => {
+            res.set('X-Foo', 'bar').cookie('a', '1').cookie('b', '2').sendStatus(201);
+        });
+        return request({ path: '/' })
+            .then(res => {
+                expect(res.statusCode).to.equal(201);
+                expect(res.headers['x-foo']).to.equal('bar');
+                expect(res.headers['set-cookie']).to.deep.equal(['a=1', 'b=2']);
+                expect(res.body.toString()).to.equal('Created');
+            });
+    });
+
+    it('writes multiple value headers', () => {
+        server.use((req, res, next) => {
+            res.append('Link', '<a>').append('Link', '<b>').send();
+        });
+        return request({ path: '/' })
+            .then(res => {
+                const links = [];
+                for (let i = 0; i < res.rawHeaders.length; i += 2) {
+                    if (res.rawHeaders[i].toLowerCase() === 'link') links.push(res.rawHeaders[i + 1]);
+                }
+                expect(links).to.deep.equal(['<a>', '<b>']);
+            });
+    });
+
+    it('decodes base64 buffer bodies', () => {
+        const buffer = Buffer.from([0, 1, 2, 255]);
+        server.use((req, res, next) => {
+            res.send(buffer);
+        });
+        return request({ path: '/' })
+            .then(res => {
+                expect(res.headers['content-type']).to.equal('application/octet-stream');
+                expect(res.body.equals(buffer)).to.be.true;
+            });
+    });
+
+    it('pipes stream bodies', () => {
+        server.use((req, res, next) => {
+            res.set('content-type', 'text/plain');
+            res.write('a');
+            setTimeout(() => res.end('b'), 10);
+        });
+        return request({ path: '/' })
+            .then(res => {
+                expect(res.headers['content-type']).to.equal('text/plain');
+                expect(res.body.toString()).to.equal('ab');
+            });
+    });
+
+    it('aborts request when client disconnects', () => {
+        return new Promise((resolve, reject) => {
+            server.use((req, res, next) => {
+                req.signal.addEventListener('abort', () => {
+                    try {
+                        expect(req.signal.reason.code).to.equal('ERCLOSED');
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                });
+                client.destroy();
+            });
+            const client = http.request({ port: listener.address().port, path: '/' });
+            client.on('error', () => {});
+            client.end();
+        });
+    });
+
+    it('responds with 500 when the response cannot be written', () => {
+        const emitWarning = process.emitWarning;
+        const warnings = [];
+        process.emitWarning = message => warnings.push(message);
+        server.use((req, res, next) => res.set('X-Bad', 'a\nb').send('ok'));
+        return request({ path: '/' })
+            .then(res => {
+                process.emitWarning = emitWarning;
+                expect(res.statusCode).to.equal(500);
+                expect(res.headers).not.to.have.property('x-bad');
+                expect(warnings.length).to.equal(1);
+                expect(warnings[0]).to.match(/^Unable to write response/);
+            }, err => {
+                process.emitWarning = emitWarning;
+                throw err;
+            });
+    });
+
+    it('responds with 404 when not handled', () => {
+        return request({ path: '/' })
+            .then(res => expect(res.statusCode).to.equal(404));
+    });
+
+    it('can be used as a request listener', done => {
+        const listener = http.createServer(server.httpHandler());
+        server.use((req, res, next) => res.send('handled'));
+        listener.listen(0, () => {
+            http.get({ port: listener.address().port }, res => {
+                expect(res.statusCode).to.equal(200);
+                res.resume();
+                res.on('end', () => listener.close(done));
+            });
+        });
+    });
+
+    it('closes idle keep-alive connections', () => {
+        const agent = new http.Agent({ keepAlive: true });
+        server.use((req, res, next) => res.send('ok'));
+        return request({ path: '/', agent: agent })
+            .then(() => new Promise(resolve => {
+                listener.close(() => {
+                    agent.destroy();
+                    listener = { close: done => done() };
+                    resolve();
+                });
+            }));
+    });
+
+});
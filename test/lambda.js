@@ -0,0 +1,151 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const lambda            = require('../bin/adapters/lambda');
+const SansServer        = require('../bin/server/sans-server');
+
+describe('lambda adapter', () => {
+    let server;
+
+    beforeEach(() => {
+        server = SansServer({ logs: false });
+    });
+
+    describe('request', () => {
+
+        it('version 1.0', () => {
+            const config = lambda.toRequest({
+                httpMethod: 'POST',
+                path: '/users',
+                headers: { 'Content-Type': 'text/plain' },
+                multiValueHeaders: { 'Content-Type': ['text/plain'], Accept: ['text/html', 'text/plain'] },
+                queryStringParameters: { a: '2', b: 'x y' },
+                multiValueQueryStringParameters: { a: ['1', '2'], b: ['x y'] },
+                body: 'hello',
+                isBase64Encoded: false
+            });
+            expect(config).to.deep.equal({
+                method: 'POST',
+                path: '/users',
+                headers: { 'Content-Type': 'text/plain', Accept: 'text/html, text/plain' },
+                query: { a: ['1', '2'], b: 'x y' },
+                body: 'hello'
+            });
+        });
+
+        it('version 2.0', () => {
+            const config = lambda.toRequest({
+                version: '2.0',
+                rawPath: '/users',
+                rawQueryString: 'a=1&a=2&b=x%20y&c',
+                cookies: ['a=1', 'b=2'],
+                headers: { accept: 'text/html' },
+                requestContext: { http: { method: 'PUT', path: '/users' } },
+                body: 'aGVsbG8=',
+                isBase64Encoded: true
+            });
+            expect(config.method).to.equal('PUT');
+            expect(config.path).to.equal('/users');
+            expect(config.query).to.deep.equal({ a: ['1', '2'], b: 'x y', c: true });
+            expect(config.headers).to.deep.equal({ accept: 'text/html', cookie: 'a=1; b=2' });
+            expect(config.body.toString()).to.equal('hello');
+        });
+
+    });
+
+    describe('response', () => {
+        const state = {
+            body: 'AAH/',
+            cookies: [],
+            encoding: 'base64',
+            headers: { 'content-type': 'application/octet-stream' },
+            rawHeaders: ['content-type: application/octet-stream', 'Set-Cookie: a=1', 'Set-Cookie: b=2'],
+            statusCode: 200
+        };
+
+        it('version 1.0', () => {
+            expect(lambda.toResponse(state, '1.0')).to.deep.equal({
+                statusCode: 200,
+                headers: { 'content-type': 'application/octet-stream' },
+                multiValueHeaders: {
+                    'content-type': ['application/octet-stream'],
+                    'set-cookie': ['a=1', 'b=2']
+                },
+                isBase64Encoded: true,
+                body: 'AAH/'
+            });
+        });
+
+        it('version 2.0', () => {
+            expect(lambda.toResponse(state, '2.0')).to.deep.equal({
+                statusCode: 200,
+                headers: { 'content-type': 'application/octet-stream' },
+                cookies: ['a=1', 'b=2'],
+                isBase64Encoded: true,
+                body: 'AAH/'
+            });
+        });
+
+        it('buffer body', () => {
+            const response = lambda.toResponse(Object.assign({}, state, { body: Buffer.from('hi'), encoding: '' }));
+            expect(response.body).to.equal(Buffer.from('hi').toString('base64'));
+            expect(response.isBase64Encoded).to.be.true;
+        });
+
+    });
+
+    describe('handler', () => {
+
+        it('returns a promise', () => {
+            server.use((req, res, next) => {
+                res.cookie('a', req.query.a).send({ path: req.path });
+            });
+            return server.lambdaHandler()({ httpMethod: 'GET', path: '/foo', queryStringParameters: { a: '1' } }, {})
+                .then(response => {
+                    expect(response.statusCode).to.equal(200);
+                    expect(response.body).to.equal('{"path":"/foo"}');
+                    expect(response.multiValueHeaders['set-cookie']).to.deep.equal(['a=1']);
+                });
+        });
+
+        it('buffers stream bodies', () => {
+            server.use((req, res, next) => {
+                res.set('content-type', 'text/csv');
+                res.write('a,b\n');
+                res.end('1,2\n');
+            });
+            return server.lambdaHandler()({ httpMethod: 'GET', path: '/' }, {})
+                .then(response => {
+                    expect(response.body).to.equal('a,b\n1,2\n');
+                    expect(response.isBase64Encoded).to.be.false;
+                });
+        });
+
+        it('calls callback', done => {
+            const event = { version: '2.0', rawPath: '/', requestContext: { http: { method: 'GET' } } };
+            server.lambdaHandler()(event, {}, (err, response) => {
+                expect(err).to.equal(null);
+                expect(response.statusCode).to.equal(404);
+                expect(response.cookies).to.deep.equal([]);
+                done();
+            });
+        });
+
+    });
+
+});
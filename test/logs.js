@@ -0,0 +1,172 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const logs              = require('../bin/logs');
+const SansServer        = require('../bin/server/sans-server');
+
+describe('logs', () => {
+
+    function run(config) {
+        const server = SansServer({ logs: config });
+        server.use((req, res) => {
+            req.log('custom', 'hello');
+            res.status(201).send('ok');
+        });
+        return server.request({ path: '/foo', query: { a: '1' } });
+    }
+
+    function capture(callback) {
+        const lines = [];
+        const log = console.log;
+        console.log = line => lines.push(line);
+        return Promise.resolve()
+            .then(callback)
+            .then(() => {
+                console.log = log;
+                return lines;
+            }, err => {
+                console.log = log;
+                throw err;
+            });
+    }
+
+    it('transport function receives log entry', () => {
+        let entry;
+        return run(value => entry = value)
+            .then(state => {
+                expect(entry.id).to.be.a('string');
+                expect(entry.method).to.equal('GET');
+                expect(entry.url).to.equal('/foo?a=1');
+                expect(entry.statusCode).to.equal(201);
+                expect(entry.state).to.equal(state);
+                expect(entry.duration).to.be.a('number');
+                expect(entry.events.some(e => e.type === 'request' && e.data === 'custom hello')).to.be.true;
+            });
+    });
+
+    it('transport receives warnings produced while constructing the request', () => {
+        let entry;
+        const server = SansServer({ logs: value => entry = value });
+        server.use((req, res) => res.send('ok'));
+        return server.request({ path: '/', query: 5 })
+            .then(() => {
+                expect(entry.events.some(e => /Request query expected/.test(e.data))).to.be.true;
+                expect(entry.events.some(e => e.data === 'initialized')).to.be.true;
+            });
+    });
+
+    it('transport errors produce a warning', () => {
+        const emitWarning = process.emitWarning;
+        const rejections = [];
+        const warnings = [];
+        const onRejection = err => rejections.push(err);
+        process.emitWarning = message => warnings.push(message);
+        process.on('unhandledRejection', onRejection);
+        const restore = () => {
+            process.emitWarning = emitWarning;
+            process.removeListener('unhandledRejection', onRejection);
+        };
+        return run(() => { throw Error('Transport down'); })
+            .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+            .then(() => {
+                restore();
+                expect(warnings).to.deep.equal(['Unable to send logs: Transport down']);
+                expect(rejections).to.deep.equal([]);
+            }, err => {
+                restore();
+                throw err;
+            });
+    });
+
+    it('write object defaults to json', () => {
+        const lines = [];
+        return run({ write: line => lines.push(line) })
+            .then(() => {
+                expect(lines.length).to.equal(1);
+                expect(lines[0]).to.match(/\n$/);
+                const value = JSON.parse(lines[0]);
+                expect(value.method).to.equal('GET');
+                expect(value.url).to.equal('/foo?a=1');
+                expect(value.statusCode).to.equal(201);
+                expect(value.start).to.match(/^\d{4}-\d{2}-\d{2}T/);
+                expect(value.events.some(e => e.data === 'custom hello' && e.elapsed >= 0)).to.be.true;
+            });
+    });
+
+    it('grouped logs respect log level', () => {
+        let entry;
+        const server = SansServer({ logLevel: 'info', logs: value => entry = value });
+        server.use((req, res) => res.set('x-foo', 'bar').send('ok'));
+        return server.request()
+            .then(() => {
+                expect(entry.events.length).to.be.greaterThan(0);
+                entry.events.forEach(event => expect(['info', 'warn', 'error']).to.contain(event.level));
+            });
+    });
+
+    it('write object with ndjson per event format', () => {
+        const lines = [];
+        return run({ format: 'ndjson-per-event', write: line => lines.push(line) })
+            .then(state => {
+                expect(lines.length).to.be.greaterThan(1);
+                lines.map(line => JSON.parse(line)).forEach(value => {
+                    expect(value.statusCode).to.equal(201);
+                    expect(value.type).to.be.a('string');
+                    expect(value.timestamp).to.match(/^\d{4}-\d{2}-\d{2}T/);
+                });
+            });
+    });
+
+    it('write object with custom format', () => {
+        const lines = [];
+        return run({ format: entry => entry.statusCode + ' ' + entry.url, write: line => lines.push(line) })
+            .then(() => expect(lines).to.deep.equal(['201 /foo?a=1\n']));
+    });
+
+    it('format name writes to console', () => {
+        return capture(() => run('json'))
+            .then(lines => {
+                expect(lines.length).to.equal(1);
+                expect(JSON.parse(lines[0]).url).to.equal('/foo?a=1');
+            });
+    });
+
+    it('true uses pretty format', () => {
+        return capture(() => run(true))
+            .then(lines => {
+                expect(lines.length).to.equal(1);
+                expect(lines[0]).to.match(/^201 GET \/foo\?a=1\n  ID: /);
+                expect(lines[0]).to.match(/sans-server:request custom hello/);
+            });
+    });
+
+    it('false disables logs', () => {
+        return capture(() => run(false))
+            .then(lines => expect(lines).to.deep.equal([]));
+    });
+
+    it('invalid format', () => {
+        expect(() => SansServer({ logs: 'xml' })).to.throw(/Invalid log format/);
+    });
+
+    it('exposes formatters', () => {
+        expect(SansServer.logFormatters).to.equal(logs.formatters);
+        expect(Object.keys(logs.formatters).sort()).to.deep.equal(['json', 'ndjson-per-event', 'pretty']);
+    });
+
+});
@@ -0,0 +1,169 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const Metrics           = require('../bin/metrics');
+const SansServer        = require('../bin/server/sans-server');
+
+describe('metrics', () => {
+    let server;
+
+    beforeEach(() => {
+        server = SansServer({ logs: false, metrics: true });
+        server.use(function authenticate(req, res, next) {
+            setTimeout(next, 5);
+        });
+        server.get('/users/:id', (req, res) => res.send({ id: req.params.id }));
+    });
+
+    it('is disabled by default', () => {
+        expect(SansServer({ logs: false }).metrics()).to.equal(null);
+    });
+
+    it('produces Prometheus text', () => {
+        return server.request('/users/1')
+            .then(() => server.request('/users/2'))
+            .then(() => server.request('/missing'))
+            .then(() => {
+                const text = server.metrics();
+                expect(text).to.contain('# TYPE sans_server_request_duration_seconds histogram');
+                expect(text).to.contain('# TYPE sans_server_hook_duration_seconds histogram');
+                expect(text).to.contain('sans_server_request_duration_seconds_count{method="GET",status="200",route="/users/:id"} 2');
+                expect(text).to.contain('sans_server_request_duration_seconds_count{method="GET",status="404",route=""} 1');
+                expect(text).to.match(/sans_server_request_duration_seconds_bucket\{method="GET",status="200",route="\/users\/:id",le="\+Inf"} 2\n/);
+                expect(text).to.contain('sans_server_hook_duration_seconds_count{type="request",name="authenticate",weight="0"} 3');
+                expect(text).to.contain('sans_server_hook_duration_seconds_count{type="request",name="GET /users/:id",weight="0"} 3');
+                expect(text).to.contain('sans_server_hook_duration_seconds_count{type="response",name="transform",weight="-100000"} 3');
+                expect(text).to.match(/\n$/);
+            });
+    });
+
+    it('produces a JSON snapshot', () => {
+        return server.request('/users/1')
+            .then(() => {
+                const snapshot = server.metrics('json');
+                const request = snapshot.requests[0];
+                expect(request.method).to.equal('GET');
+                expect(request.status).to.equal(200);
+                expect(request.route).to.equal('/users/:id');
+                expect(request.count).to.equal(1);
+                expect(request.sum).to.be.above(0.004);
+                expect(request.buckets[request.buckets.length - 1]).to.deep.equal({ le: '+Inf', count: 1 });
+
+                const hook = snapshot.hooks.find(hook => hook.name === 'authenticate');
+                expect(hook.type).to.equal('request');
+                expect(hook.weight).to.equal(0);
+                expect(hook.count).to.equal(1);
+                expect(hook.sum).to.be.above(0.004);
+                expect(hook.buckets.find(bucket => bucket.le === 0.001).count).to.equal(0);
+            });
+    });
+
+    it('records error hooks', () => {
+        const server = SansServer({ logs: false, metrics: true });
+        server.use(() => { throw Error('Oops'); });
+        server.use(function handleError(err, req, res, next) {
+            res.status(500).send('handled');
+        });
+        return server.request()
+            .then(() => {
+                const hook = server.metrics('json').hooks.find(hook => hook.name === 'handleError');
+                expect(hook.type).to.equal('error');
+                expect(hook.count).to.equal(1);
+            });
+    });
+
+    it('uses custom buckets', () => {
+        const server = SansServer({ logs: false, metrics: { buckets: [1, 0.5] } });
+        return server.request()
+            .then(() => {
+                const buckets = server.metrics('json').requests[0].buckets.map(bucket => bucket.le);
+                expect(buckets).to.deep.equal([0.5, 1, '+Inf']);
+            });
+    });
+
+    it('throws for invalid buckets', () => {
+        expect(() => SansServer({ metrics: { buckets: [] } })).to.throw(/buckets/);
+        expect(() => SansServer({ metrics: { buckets: ['a'] } })).to.throw(/buckets/);
+    });
+
+    it('records unknown methods as _OTHER', () => {
+        return server.request({ method: 'FOO1', path: '/users/1' })
+            .then(() => server.request({ method: 'FOO2', path: '/users/1' }))
+            .then(() => {
+                const text = server.metrics();
+                expect(text).to.contain('sans_server_request_duration_seconds_count{method="_OTHER",status="405",route=""} 2');
+                expect(text).not.to.contain('FOO');
+            });
+    });
+
+    it('throws for an invalid format', () => {
+        expect(() => server.metrics('xml')).to.throw(/metrics format/);
+    });
+
+    it('escapes label values', () => {
+        const metrics = new Metrics();
+        metrics.observeHook({ type: 'request', name: 'a "quoted"\nname\\', weight: 1, duration: 2 });
+        expect(metrics.prometheus()).to.contain('name="a \\"quoted\\"\\nname\\\\"');
+    });
+
+    it('counts cumulative buckets', () => {
+        const metrics = new Metrics({ buckets: [0.01, 0.1] });
+        metrics.observeRequest('GET', 200, '/', 5);
+        metrics.observeRequest('GET', 200, '/', 50);
+        metrics.observeRequest('GET', 200, '/', 500);
+        const series = metrics.snapshot().requests[0];
+        expect(series.buckets.map(bucket => bucket.count)).to.deep.equal([1, 2, 3]);
+        expect(series.sum).to.be.closeTo(0.555, 0.0001);
+    });
+
+    it('emits hook events', () => {
+        const events = [];
+        const req = server.request('/users/1');
+        req.on('hook-start', hook => events.push('start ' + hook.name));
+        req.on('hook-end', hook => {
+            expect(hook.duration).to.be.at.least(0);
+            expect(hook.start).to.be.above(0);
+            events.push('end ' + hook.name);
+        });
+        return req.then(() => {
+            expect(events.slice(0, 4)).to.deep.equal(['start validMethod', 'end validMethod', 'start authenticate', 'end authenticate']);
+        });
+    });
+
+    it('warns when recording the request fails', () => {
+        const emitWarning = process.emitWarning;
+        const observeRequest = Metrics.prototype.observeRequest;
+        const warnings = [];
+        const restore = () => {
+            process.emitWarning = emitWarning;
+            Metrics.prototype.observeRequest = observeRequest;
+        };
+        process.emitWarning = message => warnings.push(message);
+        Metrics.prototype.observeRequest = () => { throw Error('Broken'); };
+        return server.request('/users/1')
+            .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+            .then(() => {
+                restore();
+                expect(warnings).to.deep.equal(['Unable to record metrics: Broken']);
+            }, err => {
+                restore();
+                throw err;
+            });
+    });
+
+});
@@ -0,0 +1,81 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect    = require('chai').expect;
+const negotiate = require('../bin/negotiate');
+
+describe('negotiate', () => {
+
+    describe('media types', () => {
+
+        it('no header accepts all in order', () => {
+            expect(negotiate.mediaTypes(undefined, ['json', 'html'])).to.deep.equal(['json', 'html']);
+        });
+
+        it('orders by quality', () => {
+            const header = 'text/html;q=0.5, application/json';
+            expect(negotiate.mediaTypes(header, ['text/html', 'application/json'])).to.deep.equal(['application/json', 'text/html']);
+        });
+
+        it('more specific range wins', () => {
+            const header = 'text/*, text/csv;q=0';
+            expect(negotiate.mediaTypes(header, ['text/csv', 'text/html'])).to.deep.equal(['text/html']);
+        });
+
+        it('wildcard', () => {
+            expect(negotiate.mediaTypes('*/*;q=0.1', ['csv'])).to.deep.equal(['csv']);
+        });
+
+        it('lists accepted types by preference', () => {
+            expect(negotiate.mediaTypes('a/b;q=0.2, c/d, e/f;q=0')).to.deep.equal(['c/d', 'a/b']);
+        });
+
+    });
+
+    describe('encodings', () => {
+
+        it('identity is implicitly acceptable', () => {
+            expect(negotiate.encodings('gzip', ['br', 'identity'])).to.deep.equal(['identity']);
+        });
+
+        it('identity can be excluded', () => {
+            expect(negotiate.encodings('gzip, identity;q=0', ['identity'])).to.deep.equal([]);
+        });
+
+        it('orders by quality', () => {
+            expect(negotiate.encodings('gzip;q=0.8, br', ['gzip', 'br'])).to.deep.equal(['br', 'gzip']);
+        });
+
+        it('equal quality uses available order', () => {
+            expect(negotiate.encodings('gzip, deflate, br', ['br', 'gzip'])).to.deep.equal(['br', 'gzip']);
+        });
+
+    });
+
+    describe('languages', () => {
+
+        it('prefix match', () => {
+            expect(negotiate.languages('en;q=0.8, fr', ['en-US', 'fr-CA', 'de'])).to.deep.equal(['fr-CA', 'en-US']);
+        });
+
+        it('exact match beats prefix', () => {
+            expect(negotiate.languages('en-GB, en;q=0.5', ['en-US', 'en-GB'])).to.deep.equal(['en-GB', 'en-US']);
+        });
+
+    });
+
+});
@@ -0,0 +1,139 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const SansServer        = require('../bin/server/sans-server');
+
+describe('parse body', () => {
+    let server;
+
+    beforeEach(() => {
+        server = SansServer({ bodyParser: true, logs: false, rejectable: true });
+    });
+
+    function parse(contentType, body) {
+        let result;
+        server.use((req, res, next) => {
+            result = { body: req.body, rawBody: req.rawBody };
+            res.send();
+        });
+        return server.request({ method: 'POST', headers: { 'content-type': contentType }, body: body })
+            .then(res => {
+                if (result) result.statusCode = res.statusCode;
+                return result || { statusCode: res.statusCode };
+            });
+    }
+
+    it('is disabled by default', () => {
+        const server = SansServer({ logs: false });
+        server.use((req, res, next) => {
+            expect(req.body).to.equal('{"a":1}');
+            expect(req).not.to.have.property('rawBody');
+            res.send();
+        });
+        return server.request({ method: 'POST', headers: { 'content-type': 'application/json' }, body: '{"a":1}' });
+    });
+
+    it('json string', () => {
+        return parse('application/json', '{"a":1}')
+            .then(result => {
+                expect(result.body).to.deep.equal({ a: 1 });
+                expect(result.rawBody).to.equal('{"a":1}');
+            });
+    });
+
+    it('json buffer with vendor type', () => {
+        return parse('application/vnd.api+json; charset=utf-8', Buffer.from('[1,2]'))
+            .then(result => expect(result.body).to.deep.equal([1, 2]));
+    });
+
+    it('invalid json produces 400', () => {
+        return parse('application/json', '{a')
+            .then(result => {
+                expect(result.statusCode).to.equal(400);
+                expect(result.body).to.equal(undefined);
+            });
+    });
+
+    it('object body is not parsed', () => {
+        return parse('application/json', { a: 1 })
+            .then(result => expect(result.body).to.deep.equal({ a: 1 }));
+    });
+
+    it('url encoded form', () => {
+        return parse('application/x-www-form-urlencoded', 'name=Bob+Smith&interests=A&interests=B%20C')
+            .then(result => {
+                expect(result.body).to.deep.equal({
+                    name: [{ headers: {}, content: 'Bob Smith' }],
+                    interests: [{ headers: {}, content: 'A' }, { headers: {}, content: 'B C' }]
+                });
+            });
+    });
+
+    it('text buffer', () => {
+        return parse('text/plain; charset=latin1', Buffer.from('café', 'latin1'))
+            .then(result => expect(result.body).to.equal('café'));
+    });
+
+    it('unknown content type is not parsed', () => {
+        return parse('application/octet-stream', 'abc')
+            .then(result => {
+                expect(result.body).to.equal('abc');
+                expect(result.rawBody).to.equal('abc');
+            });
+    });
+
+    describe('multipart', () => {
+        const file = Buffer.from([0, 1, 2, 255]);
+        const body = Buffer.concat([
+            Buffer.from('--XYZ\r\n' +
+                'Content-Disposition: form-data; name="fullName"\r\n\r\n' +
+                'Bob Smith\r\n' +
+                '--XYZ\r\n' +
+                'Content-Disposition: form-data; name="picture"; filename="a.bin"\r\n' +
+                'Content-Type: application/octet-stream\r\n\r\n'),
+            file,
+            Buffer.from('\r\n--XYZ--\r\n')
+        ]);
+
+        it('fields and files', () => {
+            return parse('multipart/form-data; boundary=XYZ', body)
+                .then(result => {
+                    expect(result.body.fullName).to.deep.equal([{
+                        headers: { 'content-disposition': 'form-data; name="fullName"' },
+                        content: 'Bob Smith'
+                    }]);
+                    const picture = result.body.picture[0];
+                    expect(picture.filename).to.equal('a.bin');
+                    expect(picture.headers['content-type']).to.equal('application/octet-stream');
+                    expect(picture.content.equals(file)).to.be.true;
+                });
+        });
+
+        it('missing boundary produces 400', () => {
+            return parse('multipart/form-data', body)
+                .then(result => expect(result.statusCode).to.equal(400));
+        });
+
+        it('unterminated body produces 400', () => {
+            return parse('multipart/form-data; boundary=XYZ', body.slice(0, 60))
+                .then(result => expect(result.statusCode).to.equal(400));
+        });
+
+    });
+
+});
@@ -0,0 +1,230 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const range             = require('../bin/hooks/range');
+const SansServer        = require('../bin/server/sans-server');
+
+describe('range', () => {
+    const text = 'abcdefghijklmnopqrstuvwxyz';
+    const lastModified = 'Wed, 01 Mar 2017 00:00:00 GMT';
+    let server;
+
+    beforeEach(() => {
+        server = SansServer({ logs: false, ranges: true, rejectable: true });
+        server.get('/', (req, res) => res.set('Content-Type', 'text/plain').set('Last-Modified', lastModified)
+            .set('ETag', '"abc"').send(Buffer.from(text)));
+        server.get('/weak', (req, res) => res.set('ETag', 'W/"abc"').send(text));
+        server.get('/stream', (req, res) => res.send(require('stream').Readable.from([text])));
+        server.post('/', (req, res) => res.send(text));
+    });
+
+    function body(res) {
+        return Buffer.from(res.body, 'base64').toString();
+    }
+
+    describe('parse', () => {
+
+        it('parses a range', () => {
+            expect(range.parse('bytes=0-4', 10)).to.deep.equal([{ start: 0, end: 4 }]);
+        });
+
+        it('parses an open range', () => {
+            expect(range.parse('bytes=5-', 10)).to.deep.equal([{ start: 5, end: 9 }]);
+        });
+
+        it('parses a suffix range', () => {
+            expect(range.parse('bytes=-3', 10)).to.deep.equal([{ start: 7, end: 9 }]);
+            expect(range.parse('bytes=-30', 10)).to.deep.equal([{ start: 0, end: 9 }]);
+        });
+
+        it('limits the end to the size', () => {
+            expect(range.parse('bytes=5-100', 10)).to.deep.equal([{ start: 5, end: 9 }]);
+        });
+
+        it('parses multiple ranges', () => {
+            expect(range.parse('bytes=0-1, 5-6', 10)).to.deep.equal([{ start: 0, end: 1 }, { start: 5, end: 6 }]);
+        });
+
+        it('combines overlapping and adjacent ranges', () => {
+            expect(range.parse('bytes=5-6,0-2,1-3,7-8', 10)).to.deep.equal([{ start: 5, end: 8 }, { start: 0, end: 3 }]);
+        });
+
+        it('drops unsatisfiable ranges', () => {
+            expect(range.parse('bytes=20-30,0-1', 10)).to.deep.equal([{ start: 0, end: 1 }]);
+            expect(range.parse('bytes=20-30', 10)).to.deep.equal([]);
+            expect(range.parse('bytes=-0', 10)).to.deep.equal([]);
+        });
+
+        it('returns null for invalid headers', () => {
+            expect(range.parse('items=0-1', 10)).to.equal(null);
+            expect(range.parse('bytes=5-1', 10)).to.equal(null);
+            expect(range.parse('bytes=-', 10)).to.equal(null);
+            expect(range.parse('bytes=a-b', 10)).to.equal(null);
+        });
+
+    });
+
+    it('is disabled by default', () => {
+        const server = SansServer({ logs: false });
+        server.use((req, res) => res.send(text));
+        return server.request({ headers: { range: 'bytes=0-1' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(200);
+                expect(res.headers).not.to.have.property('accept-ranges');
+            });
+    });
+
+    it('advertises byte ranges', () => {
+        return server.request()
+            .then(res => {
+                expect(res.statusCode).to.equal(200);
+                expect(res.headers['accept-ranges']).to.equal('bytes');
+            });
+    });
+
+    it('does not advertise byte ranges for streams', () => {
+        return server.request('/stream')
+            .then(res => expect(res.headers).not.to.have.property('accept-ranges'));
+    });
+
+    it('sends a single range', () => {
+        return server.request({ headers: { range: 'bytes=2-5' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(206);
+                expect(res.headers['content-range']).to.equal('bytes 2-5/26');
+                expect(res.headers['content-type']).to.equal('text/plain');
+                expect(body(res)).to.equal('cdef');
+            });
+    });
+
+    it('sends a range of a string body', () => {
+        return server.request({ path: '/weak', headers: { range: 'bytes=-3' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(206);
+                expect(body(res)).to.equal('xyz');
+            });
+    });
+
+    it('sends multiple ranges', () => {
+        return server.request({ headers: { range: 'bytes=0-1,-2' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(206);
+                const match = /^multipart\/byteranges; boundary=(\w+)$/.exec(res.headers['content-type']);
+                expect(match).not.to.equal(null);
+                const boundary = match[1];
+                expect(body(res)).to.equal(
+                    '--' + boundary + '\r\n' +
+                    'Content-Type: text/plain\r\n' +
+                    'Content-Range: bytes 0-1/26\r\n\r\n' +
+                    'ab\r\n' +
+                    '--' + boundary + '\r\n' +
+                    'Content-Type: text/plain\r\n' +
+                    'Content-Range: bytes 24-25/26\r\n\r\n' +
+                    'yz\r\n' +
+                    '--' + boundary + '--\r\n');
+            });
+    });
+
+    it('sends 416 for unsatisfiable ranges', () => {
+        return server.request({ headers: { range: 'bytes=100-200' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(416);
+                expect(res.headers['content-range']).to.equal('bytes */26');
+            });
+    });
+
+    it('keeps cookies and other headers when sending 416', () => {
+        server.get('/cookie', (req, res) => res.cookie('seen', 'yes').set('X-Foo', 'bar').send(text));
+        return server.request({ path: '/cookie', headers: { range: 'bytes=100-200' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(416);
+                expect(res.cookies.map(cookie => cookie.name)).to.deep.equal(['seen']);
+                expect(res.headers['x-foo']).to.equal('bar');
+                expect(res.headers['content-type']).to.equal('text/plain');
+                expect(res.body).to.equal('Requested Range not Satisfiable');
+            });
+    });
+
+    it('ignores invalid ranges', () => {
+        return server.request({ headers: { range: 'bytes=5-1' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(200);
+                expect(body(res)).to.equal(text);
+            });
+    });
+
+    it('ignores too many ranges', () => {
+        const server = SansServer({ logs: false, ranges: { maxRanges: 1 } });
+        server.use((req, res) => res.send(text));
+        return server.request({ headers: { range: 'bytes=0-1,5-6' } })
+            .then(res => expect(res.statusCode).to.equal(200));
+    });
+
+    it('ignores ranges for other methods', () => {
+        return server.request({ method: 'POST', headers: { range: 'bytes=0-1' } })
+            .then(res => expect(res.statusCode).to.equal(200));
+    });
+
+    it('ignores ranges for non 200 responses', () => {
+        server.get('/missing', (req, res) => res.status(404).send(text));
+        return server.request({ path: '/missing', headers: { range: 'bytes=0-1' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(404);
+                expect(res.headers).not.to.have.property('accept-ranges');
+            });
+    });
+
+    it('sends the range for a matching If-Range etag', () => {
+        return server.request({ headers: { range: 'bytes=0-1', 'if-range': '"abc"' } })
+            .then(res => expect(res.statusCode).to.equal(206));
+    });
+
+    it('sends the whole body for a different If-Range etag', () => {
+        return server.request({ headers: { range: 'bytes=0-1', 'if-range': '"def"' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(200);
+                expect(body(res)).to.equal(text);
+            });
+    });
+
+    it('sends the whole body for a weak If-Range etag', () => {
+        return server.request({ path: '/weak', headers: { range: 'bytes=0-1', 'if-range': 'W/"abc"' } })
+            .then(res => expect(res.statusCode).to.equal(200));
+    });
+
+    it('sends the range for a matching If-Range date', () => {
+        return server.request({ headers: { range: 'bytes=0-1', 'if-range': lastModified } })
+            .then(res => expect(res.statusCode).to.equal(206));
+    });
+
+    it('sends the whole body for a different If-Range date', () => {
+        return server.request({ headers: { range: 'bytes=0-1', 'if-range': 'Thu, 02 Mar 2017 00:00:00 GMT' } })
+            .then(res => expect(res.statusCode).to.equal(200));
+    });
+
+    it('is not compressed', () => {
+        const server = SansServer({ compression: { threshold: 0 }, logs: false, ranges: true });
+        server.use((req, res) => res.send(text));
+        return server.request({ headers: { range: 'bytes=0-1', 'accept-encoding': 'gzip' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(206);
+                expect(res.headers).not.to.have.property('content-encoding');
+            });
+    });
+
+});
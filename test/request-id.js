@@ -0,0 +1,194 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const SansServer        = require('../bin/server/sans-server');
+
+describe('request id', () => {
+
+    describe('generators', () => {
+        const generators = SansServer.requestIdGenerators;
+
+        it('short IDs keep all of the UUID', () => {
+            const ids = new Set();
+            for (let i = 0; i < 100; i++) {
+                const id = generators.short();
+                expect(id).to.match(/^[A-Za-z0-9]{22}$/);
+                ids.add(id);
+            }
+            expect(ids.size).to.equal(100);
+        });
+
+        it('ULIDs sort in the order they were created', () => {
+            const ids = [];
+            for (let i = 0; i < 100; i++) ids.push(generators.ulid());
+            ids.forEach(id => expect(id).to.match(/^[0-9A-HJKMNP-TV-Z]{26}$/));
+            expect(ids.concat().sort()).to.deep.equal(ids);
+            expect(new Set(ids).size).to.equal(100);
+        });
+
+        it('ULIDs start with the time', () => {
+            const before = Date.now();
+            const time = generators.ulid().substr(0, 10).split('')
+                .reduce((value, char) => value * 32 + '0123456789ABCDEFGHJKMNPQRSTVWXYZ'.indexOf(char), 0);
+            expect(time).to.be.at.least(before);
+            expect(time).to.be.at.most(Date.now());
+        });
+
+        it('UUIDs are complete', () => {
+            expect(generators.uuid()).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        });
+    });
+
+    describe('configuration', () => {
+
+        it('uses short IDs by default', () => {
+            const req = SansServer({ logs: false }).request();
+            expect(req.id).to.match(/^[A-Za-z0-9]{22}$/);
+            return req;
+        });
+
+        it('can use a built in generator', () => {
+            const server = SansServer({ logs: false, requestId: { generator: 'ulid' } });
+            const req = server.request();
+            expect(req.id).to.match(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+            return req;
+        });
+
+        it('can use a custom generator', () => {
+            let count = 0;
+            const server = SansServer({ logs: false, requestId: { generator: () => 'req-' + (++count) } });
+            const requests = [server.request(), server.request()];
+            expect(requests.map(req => req.id)).to.deep.equal(['req-1', 'req-2']);
+            return Promise.all(requests);
+        });
+
+        it('throws for an invalid generator', () => {
+            try {
+                SansServer({ requestId: { generator: 'nope' } });
+                throw Error('Should not get here');
+            } catch (err) {
+                expect(err.code).to.equal('ESID');
+            }
+        });
+
+        it('throws for an invalid header name', () => {
+            expect(() => SansServer({ requestId: { header: 'bad header' } })).to.throw(/header/);
+            expect(() => SansServer({ requestId: { responseHeader: 5 } })).to.throw(/header/);
+        });
+    });
+
+    describe('incoming header', () => {
+        let server;
+
+        beforeEach(() => {
+            server = SansServer({
+                logs: false,
+                requestId: { generator: () => 'generated', header: ['X-Request-Id', 'X-Amzn-Trace-Id'] }
+            });
+        });
+
+        it('uses the trusted header', () => {
+            const req = server.request({ headers: { 'X-Request-Id': 'abc-123' } });
+            expect(req.id).to.equal('abc-123');
+            return req;
+        });
+
+        it('uses the first trusted header with a value', () => {
+            const req = server.request({ headers: { 'x-amzn-trace-id': 'Root=1-5759e988-bd862e3fe1be46a994272793' } });
+            expect(req.id).to.equal('Root=1-5759e988-bd862e3fe1be46a994272793');
+            return req;
+        });
+
+        it('generates an ID when the header is missing', () => {
+            expect(server.request().id).to.equal('generated');
+        });
+
+        it('generates an ID when the header is not valid', () => {
+            expect(server.request({ headers: { 'x-request-id': 'has spaces' } }).id).to.equal('generated');
+            expect(server.request({ headers: { 'x-request-id': 'a'.repeat(201) } }).id).to.equal('generated');
+        });
+
+        it('ignores headers that are not trusted', () => {
+            const server = SansServer({ logs: false, requestId: { generator: () => 'generated' } });
+            expect(server.request({ headers: { 'x-request-id': 'abc' } }).id).to.equal('generated');
+        });
+    });
+
+    describe('response header', () => {
+        let server;
+
+        beforeEach(() => {
+            server = SansServer({ logs: false, requestId: { header: 'x-request-id', responseHeader: 'X-Request-Id' } });
+            server.get('/', (req, res) => res.send('ok'));
+            server.get('/reset', (req, res) => res.set('a', 'b').reset().send('ok'));
+            server.get('/error', (req, res, next) => next(Error('Oops')));
+        });
+
+        it('is not set by default', () => {
+            return SansServer({ logs: false }).request()
+                .then(res => expect(res.headers).not.to.have.property('x-request-id'));
+        });
+
+        it('echoes the ID', () => {
+            const req = server.request('/');
+            return req.then(res => {
+                expect(res.headers['x-request-id']).to.equal(req.id);
+            });
+        });
+
+        it('echoes the incoming ID', () => {
+            return server.request({ path: '/', headers: { 'x-request-id': 'abc-123' } })
+                .then(res => expect(res.headers['x-request-id']).to.equal('abc-123'));
+        });
+
+        it('keeps the header after the response is reset', () => {
+            const req = server.request('/reset');
+            return req.then(res => {
+                expect(res.headers).not.to.have.property('a');
+                expect(res.headers['x-request-id']).to.equal(req.id);
+            });
+        });
+
+        it('keeps the header on not modified responses', () => {
+            const server = SansServer({ etag: true, logs: false, requestId: { responseHeader: 'X-Request-Id' } });
+            server.get('/', (req, res) => res.send('ok'));
+            const tag = SansServer.hooks.conditional.etag('ok', true);
+            const req = server.request({ path: '/', headers: { 'if-none-match': tag } });
+            return req.then(res => {
+                expect(res.statusCode).to.equal(304);
+                expect(res.headers['x-request-id']).to.equal(req.id);
+            });
+        });
+
+        it('is not compared when replaying', () => {
+            const server = SansServer({ har: true, logs: false, requestId: { responseHeader: 'X-Request-Id' } });
+            server.get('/', (req, res) => res.send('ok'));
+            return server.request('/')
+                .then(() => server.replay(server.har()))
+                .then(report => expect(report).to.deep.equal({ differences: [], matched: 1, total: 1 }));
+        });
+
+        it('keeps the header on error responses', () => {
+            const req = server.request('/error');
+            return req.then(res => {
+                expect(res.statusCode).to.equal(500);
+                expect(res.headers['x-request-id']).to.equal(req.id);
+            });
+        });
+    });
+});
@@ -19,6 +19,7 @@ const EventEmitter  = require('events');
 const expect        = require('chai').expect;
 const Request       = require('../bin/server/request');
 const SansServer    = require('../bin/server/sans-server');
+const util          = require('../bin/util');
 
 describe('request', () => {
     let server;
@@ -83,6 +84,241 @@ describe('request', () => {
 
     });
 
+    describe('accepts', () => {
+
+        function accepts(headers, fn) {
+            let result;
+            server.use((req, res, next) => {
+                result = fn(req);
+                res.send();
+            });
+            return server.request({ headers: headers }).then(() => result);
+        }
+
+        it('media type', () => {
+            return accepts({ accept: 'text/html;q=0.9, application/json' }, req => req.accepts('html', 'json'))
+                .then(result => expect(result).to.equal('json'));
+        });
+
+        it('media type array', () => {
+            return accepts({ accept: 'text/html' }, req => req.accepts(['json', 'text/html']))
+                .then(result => expect(result).to.equal('text/html'));
+        });
+
+        it('media type not acceptable', () => {
+            return accepts({ accept: 'text/html' }, req => req.accepts('json'))
+                .then(result => expect(result).to.equal(false));
+        });
+
+        it('list accepted media types', () => {
+            return accepts({ accept: 'text/html;q=0.9, application/json' }, req => req.accepts())
+                .then(result => expect(result).to.deep.equal(['application/json', 'text/html']));
+        });
+
+        it('encodings', () => {
+            return accepts({ 'accept-encoding': 'gzip;q=0.5, br' }, req => req.acceptsEncodings('gzip', 'br'))
+                .then(result => expect(result).to.equal('br'));
+        });
+
+        it('languages', () => {
+            return accepts({ 'accept-language': 'fr;q=0.5, en' }, req => req.acceptsLanguages('fr-FR', 'en-US'))
+                .then(result => expect(result).to.equal('en-US'));
+        });
+
+    });
+
+    describe('cookies', () => {
+
+        it('parses cookie header', () => {
+            const req = server.request({ headers: { cookie: 'a=1; b=hello%20world' } });
+            expect(req.cookies).to.deep.equal({ a: '1', b: 'hello world' });
+            expect(req.signedCookies).to.deep.equal({});
+        });
+
+        it('no cookie header', () => {
+            const req = server.request();
+            expect(req.cookies).to.deep.equal({});
+        });
+
+        it('verifies signed cookies', () => {
+            server = SansServer({ cookieSecret: 'secret' });
+            const signed = 's:' + util.sign('bar', 'secret');
+            const req = server.request({ headers: { cookie: 'foo=' + encodeURIComponent(signed) + '; a=1' } });
+            expect(req.cookies).to.deep.equal({ a: '1' });
+            expect(req.signedCookies).to.deep.equal({ foo: 'bar' });
+        });
+
+        it('drops cookies with invalid signatures', () => {
+            server = SansServer({ cookieSecret: 'secret' });
+            const signed = 's:' + util.sign('bar', 'other');
+            const req = server.request({ headers: { cookie: 'foo=' + encodeURIComponent(signed) } });
+            expect(req.cookies).to.deep.equal({});
+            expect(req.signedCookies).to.deep.equal({});
+        });
+
+        it('verifies with rotated secrets', () => {
+            server = SansServer({ cookieSecret: ['new', 'old'] });
+            const signed = 's:' + util.sign('bar', 'old');
+            const req = server.request({ headers: { cookie: 'foo=' + encodeURIComponent(signed) } });
+            expect(req.signedCookies).to.deep.equal({ foo: 'bar' });
+        });
+
+    });
+
+    describe('abort', () => {
+
+        it('has signal', () => {
+            const req = server.request();
+            expect(req.signal.aborted).to.be.false;
+        });
+
+        it('abort skips later hooks and sends 503', () => {
+            const called = [];
+            server.use(function first(req, res, next) {
+                called.push('first');
+                req.abort();
+                next();
+            });
+            server.use(function second(req, res, next) {
+                called.push('second');
+                res.send('ok');
+            });
+            const req = server.request();
+            return req.then(res => {
+                expect(called).to.deep.equal(['first']);
+                expect(res.statusCode).to.equal(503);
+                expect(req.signal.aborted).to.be.true;
+                expect(req.signal.reason.code).to.equal('ERABORT');
+            });
+        });
+
+        it('abort with reason', () => {
+            let reason;
+            server.use((req, res, next) => {
+                req.signal.addEventListener('abort', () => reason = req.signal.reason);
+                req.abort('stop');
+                next();
+            });
+            return server.request()
+                .then(() => expect(reason).to.equal('stop'));
+        });
+
+        it('stops waiting for a pending hook', () => {
+            let later = false;
+            server.use((req, res, next) => {
+                setTimeout(() => req.abort(), 10);
+                setTimeout(next, 50);
+            });
+            server.use((req, res, next) => {
+                later = true;
+                next();
+            });
+            return server.request()
+                .then(res => {
+                    expect(res.statusCode).to.equal(503);
+                    return new Promise(resolve => setTimeout(resolve, 60));
+                })
+                .then(() => expect(later).to.be.false);
+        });
+
+        it('response hooks run after abort', () => {
+            server.use((req, res, next) => {
+                req.abort();
+                next();
+            });
+            return server.request()
+                .then(res => expect(res.headers['content-type']).to.equal('text/plain'));
+        });
+
+        it('removes abort listeners once the hooks finish', () => {
+            server.use((req, res, next) => next());
+            const req = server.request();
+            return req.then(() => expect(EventEmitter.getEventListeners(req.signal, 'abort').length).to.equal(0));
+        });
+
+    });
+
+    describe('log levels', () => {
+
+        function collect(req) {
+            const events = [];
+            req.on('log', event => events.push(event));
+            return req.then(() => events);
+        }
+
+        it('defaults to server log level', () => {
+            const req = SansServer({ logLevel: 'warn', logs: false }).request();
+            expect(req.logLevel).to.equal('warn');
+        });
+
+        it('logger produces events with levels', () => {
+            server.use((req, res) => {
+                const log = req.logger('app', 'users');
+                log('one');
+                log.warn('two');
+                log.trace('three');
+                res.send();
+            });
+            return collect(server.request())
+                .then(events => {
+                    const app = events.filter(e => e.category === 'app');
+                    expect(app.map(e => e.level + ' ' + e.data)).to.deep.equal(['info one', 'warn two']);
+                    expect(app[0].type).to.equal('users');
+                });
+        });
+
+        it('filters events below level', () => {
+            server = SansServer({ logLevel: 'info', logs: false });
+            server.use((req, res) => {
+                req.log.debug('hidden');
+                req.log.error('shown');
+                res.set('x-foo', 'bar').send();
+            });
+            return collect(server.request())
+                .then(events => {
+                    const data = events.filter(e => e.level).map(e => e.data);
+                    expect(data).to.contain('shown');
+                    expect(data).not.to.contain('hidden');
+                    expect(data.some(d => /^set-header/.test(d))).to.be.false;
+                });
+        });
+
+        it('request config overrides level', () => {
+            server = SansServer({ logLevel: 'error', logs: false });
+            server.use((req, res) => {
+                req.log.trace('traced');
+                res.send();
+            });
+            return collect(server.request({ logLevel: 'trace' }))
+                .then(events => expect(events.some(e => e.data === 'traced')).to.be.true);
+        });
+
+        it('can be changed by a hook', () => {
+            server = SansServer({ logLevel: 'error', logs: false });
+            server.use((req, res, next) => {
+                if (req.headers['x-debug']) req.logLevel = 'debug';
+                next();
+            });
+            server.use((req, res) => {
+                req.log.debug('debugging');
+                res.send();
+            });
+            return collect(server.request({ headers: { 'x-debug': 'true' } }))
+                .then(events => expect(events.some(e => e.data === 'debugging')).to.be.true);
+        });
+
+        it('invalid request config level warns', () => {
+            const req = server.request({ logLevel: 'loud' });
+            expect(req.logLevel).to.equal('debug');
+            expect(() => req.logLevel = 'loud').to.throw(/Invalid log level/);
+        });
+
+        it('invalid server level throws', () => {
+            expect(() => SansServer({ logLevel: 'loud' })).to.throw(/Invalid log level/);
+        });
+
+    });
+
     describe('query', () => {
 
         it('no query', () => {
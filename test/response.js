@@ -17,6 +17,8 @@
 'use strict';
 const expect            = require('chai').expect;
 const SansServer        = require('../bin/server/sans-server');
+const stream            = require('stream');
+const util              = require('../bin/util');
 
 describe('response', () => {
     let server;
@@ -204,6 +206,30 @@ describe('response', () => {
                 });
         });
 
+        it('can set a signed cookie', () => {
+            server = SansServer({ rejectable: true, cookieSecret: ['secret', 'old'] });
+            server.use((req, res, next) => {
+                res.cookie('foo', 'bar', { signed: true });
+                res.send();
+            });
+            return server.request()
+                .then(res => {
+                    const expected = 's:' + util.sign('bar', 'secret');
+                    expect(res.cookies[0].value).to.equal('bar');
+                    expect(res.cookies[0].serialized).to.equal('foo=' + encodeURIComponent(expected));
+                });
+        });
+
+        it('cannot sign a cookie without a secret', () => {
+            server.use((req, res, next) => {
+                res.cookie('foo', 'bar', { signed: true });
+                res.send();
+            });
+            return server.request()
+                .then(() => { throw Error() })
+                .catch(err => expect(err.code).to.equal('ERESC'));
+        });
+
         it('options must be an object', () => {
             server.use((req, res, next) => {
                 res.cookie('foo', 'baz', 123);
@@ -283,6 +309,49 @@ describe('response', () => {
             });
         });
 
+        it('can set header with multiple values', () => {
+            server.use((req, res, next) => {
+                res.set('Link', ['<a>; rel="next"', '<b>; rel="prev"']);
+                res.send();
+            });
+            return server.request().then(res => {
+                expect(res.headers.link).to.equal('<a>; rel="next", <b>; rel="prev"');
+                expect(res.multiValueHeaders.link).to.deep.equal(['<a>; rel="next"', '<b>; rel="prev"']);
+                expect(res.rawHeaders.filter(h => h.indexOf('link: ') === 0).length).to.equal(2);
+            });
+        });
+
+        it('can append header', () => {
+            server.use((req, res, next) => {
+                res.append('WWW-Authenticate', 'Basic');
+                res.append('www-authenticate', ['Bearer', 'Negotiate']);
+                res.send();
+            });
+            return server.request().then(res => {
+                expect(res.multiValueHeaders['www-authenticate']).to.deep.equal(['Basic', 'Bearer', 'Negotiate']);
+                expect(res.rawHeaders).to.include('www-authenticate: Bearer');
+            });
+        });
+
+        it('set replaces appended values', () => {
+            server.use((req, res, next) => {
+                res.append('x-foo', 'a').append('x-foo', 'b').set('x-foo', 'c');
+                res.send();
+            });
+            return server.request().then(res => {
+                expect(res.multiValueHeaders['x-foo']).to.deep.equal(['c']);
+            });
+        });
+
+        it('array values must be strings', () => {
+            server.use((req, res, next) => {
+                res.append('abc', ['a', 1]);
+            });
+            return server.request()
+                .then(() => { throw Error() })
+                .catch(err => expect(err.code).to.equal('ERHDR'))
+        });
+
         it('key must be a string', () => {
             server.use((req, res, next) => {
                 res.set(123, 'abc');
@@ -387,6 +456,171 @@ describe('response', () => {
 
     });
 
+    describe('format', () => {
+
+        function format(accept, handlers) {
+            server.use((req, res, next) => {
+                res.format(handlers);
+            });
+            return server.request({ headers: accept ? { accept: accept } : {} });
+        }
+
+        const handlers = {
+            'application/json': (req, res) => res.send({ a: 1 }),
+            html: (req, res) => res.send('<b>1</b>')
+        };
+
+        it('picks best handler', () => {
+            return format('text/html', handlers)
+                .then(res => {
+                    expect(res.body).to.equal('<b>1</b>');
+                    expect(res.headers['content-type']).to.equal('text/html');
+                    expect(res.headers.vary).to.equal('Accept');
+                });
+        });
+
+        it('no accept header uses first handler', () => {
+            return format(undefined, handlers)
+                .then(res => expect(res.headers['content-type']).to.equal('application/json'));
+        });
+
+        it('uses default handler', () => {
+            return format('text/csv', Object.assign({ default: (req, res) => res.send('default') }, handlers))
+                .then(res => expect(res.body).to.equal('default'));
+        });
+
+        it('responds with 406', () => {
+            return format('text/csv', handlers)
+                .then(res => {
+                    expect(res.statusCode).to.equal(406);
+                    expect(res.headers.vary).to.equal('Accept');
+                });
+        });
+
+        it('adds to existing vary header', () => {
+            server.use((req, res, next) => {
+                res.set('Vary', 'Origin');
+                next();
+            });
+            return format('text/html', handlers)
+                .then(res => expect(res.headers.vary).to.equal('Origin, Accept'));
+        });
+
+    });
+
+    describe('stream', () => {
+
+        it('body can be a readable stream', () => {
+            const readable = stream.Readable.from(['a', 'b']);
+            server.use((req, res, next) => {
+                res.send(readable);
+            });
+            return server.request()
+                .then(res => {
+                    expect(res.body).to.equal(readable);
+                    expect(res.headers['content-type']).to.equal('application/octet-stream');
+                });
+        });
+
+        it('async iterable body is converted to stream', () => {
+            const iterable = {};
+            iterable[Symbol.asyncIterator] = function() {
+                let count = 0;
+                return { next: () => Promise.resolve(count < 2 ? { value: String(count++), done: false } : { done: true }) };
+            };
+            server.use((req, res, next) => {
+                res.send(iterable);
+            });
+            return server.request()
+                .then(res => SansServer.hooks.bufferStream.read(res.body))
+                .then(buffer => expect(buffer.toString()).to.equal('01'));
+        });
+
+        it('write and end', () => {
+            server.use((req, res, next) => {
+                res.set('content-type', 'text/plain');
+                res.write('Hello');
+                expect(res.sent).to.be.true;
+                setTimeout(() => res.end(', World'));
+            });
+            return server.request()
+                .then(res => SansServer.hooks.bufferStream.read(res.body))
+                .then(buffer => expect(buffer.toString()).to.equal('Hello, World'));
+        });
+
+        it('response hooks run before the stream is provided', () => {
+            let hooked = false;
+            server.hook('response', (req, res, next) => {
+                hooked = true;
+                res.set('x-hooked', 'yes');
+                next();
+            });
+            server.use((req, res, next) => {
+                res.write('a');
+                res.end();
+            });
+            return server.request()
+                .then(res => {
+                    expect(hooked).to.be.true;
+                    expect(res.headers['x-hooked']).to.equal('yes');
+                });
+        });
+
+        it('end without write sends', () => {
+            server.use((req, res, next) => {
+                res.end('done');
+            });
+            return server.request()
+                .then(res => expect(res.body).to.equal('done'));
+        });
+
+        it('cannot write after end', () => {
+            let error;
+            server.use((req, res, next) => {
+                res.write('a');
+                res.end();
+                try {
+                    res.write('b');
+                } catch (err) {
+                    error = err;
+                }
+            });
+            return server.request()
+                .then(() => expect(error.code).to.equal('ERSENT'));
+        });
+
+        it('cannot write after send', () => {
+            server.use((req, res, next) => {
+                res.send('ok');
+                expect(() => res.write('a')).to.throw(/already sent/);
+            });
+            return server.request();
+        });
+
+        it('buffer stream hook produces string for text', () => {
+            server.hook('response', -99999, SansServer.hooks.bufferStream);
+            server.use((req, res, next) => {
+                res.set('content-type', 'application/json');
+                res.send(stream.Readable.from(['{"a":', '1}']));
+            });
+            return server.request()
+                .then(res => expect(res.body).to.equal('{"a":1}'));
+        });
+
+        it('buffer stream hook produces base64 for binary', () => {
+            server.hook('response', -99999, SansServer.hooks.bufferStream);
+            server.use((req, res, next) => {
+                res.send(stream.Readable.from([Buffer.from([1, 2])]));
+            });
+            return server.request()
+                .then(res => {
+                    expect(res.body).to.equal('AQI=');
+                    expect(res.encoding).to.equal('base64');
+                });
+        });
+
+    });
+
     describe('hooks', () => {
 
         it('calls response hooks after response send', () => {
@@ -0,0 +1,170 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const SansServer        = require('../bin/server/sans-server');
+
+describe('router', () => {
+    const Router = SansServer.Router;
+    let server;
+
+    beforeEach(() => {
+        server = SansServer({ logs: false, rejectable: true });
+    });
+
+    describe('server routes', () => {
+
+        it('matches method and path', () => {
+            server.get('/users', (req, res) => res.send('list'));
+            server.post('/users', (req, res) => res.send('create'));
+            return server.request({ method: 'POST', path: '/users' })
+                .then(res => expect(res.body).to.equal('create'));
+        });
+
+        it('populates path parameters', () => {
+            server.get('/users/:id/*', (req, res) => res.send(req.params));
+            return server.request('/users/a%20b/x/y')
+                .then(res => expect(JSON.parse(res.body)).to.deep.equal({ id: 'a b', 0: 'x/y' }));
+        });
+
+        it('sets the matched route pattern', () => {
+            server.get('/users/:id', (req, res) => res.send(req.route));
+            return server.request('/users/1')
+                .then(res => expect(res.body).to.equal('/users/:id'));
+        });
+
+        it('all matches any method', () => {
+            server.all('/foo', (req, res) => res.send(req.method));
+            return server.request({ method: 'DELETE', path: '/foo' })
+                .then(res => expect(res.body).to.equal('DELETE'));
+        });
+
+        it('get matches head', () => {
+            server.get('/foo', (req, res) => res.send('ok'));
+            return server.request({ method: 'HEAD', path: '/foo' })
+                .then(res => expect(res.statusCode).to.equal(200));
+        });
+
+        it('runs multiple handlers', () => {
+            server.get('/foo', (req, res, next) => { req.value = 'a'; next(); }, (req, res) => res.send(req.value + 'b'));
+            return server.request('/foo')
+                .then(res => expect(res.body).to.equal('ab'));
+        });
+
+        it('unmatched path continues to 404', () => {
+            server.get('/foo', (req, res) => res.send('ok'));
+            return server.request('/bar')
+                .then(res => expect(res.statusCode).to.equal(404));
+        });
+
+        it('responds with 405 and allow header', () => {
+            server.get('/foo', (req, res) => res.send('ok'));
+            server.put('/foo', (req, res) => res.send('ok'));
+            return server.request({ method: 'POST', path: '/foo' })
+                .then(res => {
+                    expect(res.statusCode).to.equal(405);
+                    expect(res.headers.allow).to.equal('GET, HEAD, PUT');
+                });
+        });
+
+        it('no 405 when another route handles the method', () => {
+            server.get('/foo', (req, res) => res.send('ok'));
+            server.post('/:name', (req, res) => res.send(req.params.name));
+            return server.request({ method: 'POST', path: '/foo' })
+                .then(res => expect(res.body).to.equal('foo'));
+        });
+
+        it('respects hook weight', () => {
+            const order = [];
+            server.use((req, res, next) => { order.push('use'); next(); });
+            server.get(-10, '/foo', (req, res, next) => { order.push('route'); next(); });
+            return server.request('/foo')
+                .then(() => expect(order).to.deep.equal(['route', 'use']));
+        });
+
+        it('handler errors are passed on', () => {
+            server.get('/foo', (req, res) => { throw Error('oops'); });
+            return server.request('/foo')
+                .then(() => { throw Error('Should not get here'); }, err => expect(err.message).to.equal('oops'));
+        });
+
+        it('path must be a string', () => {
+            expect(() => server.get(null, () => {})).to.throw(/path must be a string/);
+        });
+
+        it('handler must be a function', () => {
+            expect(() => server.get('/', null)).to.throw(/handler must be a function/);
+        });
+
+    });
+
+    describe('Router', () => {
+
+        it('can be mounted under a prefix', () => {
+            const router = Router();
+            router.get('/:id', (req, res) => res.send(req.params));
+            server.use(router.middleware('/users/:group'));
+            return server.request('/users/admin/123')
+                .then(res => expect(JSON.parse(res.body)).to.deep.equal({ group: 'admin', id: '123' }));
+        });
+
+        it('prefix must match full segments', () => {
+            const router = Router();
+            router.get('/', (req, res) => res.send('ok'));
+            server.use(router.middleware('/users'));
+            return server.request('/usersX')
+                .then(res => expect(res.statusCode).to.equal(404));
+        });
+
+        it('can nest routers', () => {
+            const outer = Router();
+            const inner = Router();
+            inner.get('/bar', (req, res) => res.send('nested'));
+            outer.use('/foo', inner);
+            server.use(outer.middleware('/api'));
+            return server.request('/api/foo/bar')
+                .then(res => expect(res.body).to.equal('nested'));
+        });
+
+        it('sets the full route pattern for nested routers', () => {
+            const outer = Router();
+            const inner = Router();
+            inner.get('/bar/:id', (req, res) => res.send(req.route));
+            outer.use('/foo/', inner);
+            server.use(outer.middleware('/api'));
+            return server.request('/api/foo/bar/1')
+                .then(res => expect(res.body).to.equal('/api/foo/bar/:id'));
+        });
+
+        it('mounted router produces 405', () => {
+            const router = Router();
+            router.delete('/foo', (req, res) => res.send('ok'));
+            server.use(router.middleware());
+            return server.request('/foo')
+                .then(res => {
+                    expect(res.statusCode).to.equal(405);
+                    expect(res.headers.allow).to.equal('DELETE');
+                });
+        });
+
+        it('use requires function or router', () => {
+            expect(() => Router().use('/foo', 123)).to.throw(/function or Router/);
+        });
+
+    });
+
+});
@@ -291,6 +291,106 @@ describe('san-server', () => {
 
     });
 
+    describe('error hooks', () => {
+
+        beforeEach(() => {
+            server = SansServer({ logs: false, rejectable: true });
+        });
+
+        it('error hook produces custom response', () => {
+            let received;
+            server.use((req, res, next) => next(Object.assign(Error('Not here'), { statusCode: 404 })));
+            server.hook('error', (err, req, res, next) => {
+                received = err;
+                res.status(err.statusCode || 500).send({ error: err.message });
+            });
+            return server.request()
+                .then(res => {
+                    expect(received.message).to.equal('Not here');
+                    expect(res.statusCode).to.equal(404);
+                    expect(res.body).to.equal('{"error":"Not here"}');
+                    expect(res.headers['content-type']).to.equal('application/json');
+                });
+        });
+
+        it('use adds four parameter functions as error hooks', () => {
+            server.use((req, res, next) => { throw Error('Oops'); });
+            server.use((err, req, res, next) => res.status(502).send(err.message));
+            return server.request()
+                .then(res => {
+                    expect(res.statusCode).to.equal(502);
+                    expect(res.body).to.equal('Oops');
+                });
+        });
+
+        it('error hooks run in weight order and can pass a different error', () => {
+            const order = [];
+            server.use((req, res, next) => next(Error('first')));
+            server.hook('error', 1, (err, req, res, next) => {
+                order.push('b:' + err.message);
+                res.status(503).send();
+            });
+            server.hook('error', -1, (err, req, res, next) => {
+                order.push('a:' + err.message);
+                next(Error('second'));
+            });
+            return server.request()
+                .then(res => {
+                    expect(order).to.deep.equal(['a:first', 'b:second']);
+                    expect(res.statusCode).to.equal(503);
+                });
+        });
+
+        it('calling next without error handles the error', () => {
+            server.use((req, res, next) => next(Error('Oops')));
+            server.hook('error', (err, req, res, next) => {
+                res.status(400).body('Bad');
+                next();
+            });
+            server.hook('error', (err, req, res, next) => next(Error('Should not run')));
+            return server.request()
+                .then(res => {
+                    expect(res.statusCode).to.equal(400);
+                    expect(res.body).to.equal('Bad');
+                });
+        });
+
+        it('unhandled error falls back to 500', () => {
+            server.use((req, res, next) => next(Error('Oops')));
+            server.hook('error', (err, req, res, next) => next(err));
+            return server.request()
+                .then(() => { throw Error('Should have rejected'); }, err => {
+                    expect(err.message).to.equal('Oops');
+                });
+        });
+
+        it('error hook that throws falls back to 500', () => {
+            const server = SansServer({ logs: false });
+            server.use((req, res, next) => next(Error('Oops')));
+            server.hook('error', (err, req, res, next) => { throw Error('Worse'); });
+            return server.request()
+                .then(res => {
+                    expect(res.statusCode).to.equal(500);
+                    expect(res.body).to.equal('Internal Server Error');
+                });
+        });
+
+        it('handles response hook errors', () => {
+            server.use((req, res) => res.send('ok'));
+            server.hook('response', 5, function bad(req, res, next) { next(Error('Response failed')); });
+            server.hook('error', (err, req, res, next) => {
+                res.status(500).set('content-type', 'application/json').body(JSON.stringify({ error: err.message }));
+                next();
+            });
+            return server.request()
+                .then(res => {
+                    expect(res.statusCode).to.equal(500);
+                    expect(res.body).to.equal('{"error":"Response failed"}');
+                });
+        });
+
+    });
+
     describe('timeout', () => {
 
         it('can timeout', () => {
@@ -309,6 +409,133 @@ describe('san-server', () => {
                 .then(res => expect(res.statusCode).to.equal(504));
         });
 
+        it('timeout aborts signal', () => {
+            const server = SansServer({ logs: false, timeout: .05 });
+            let signal;
+            let later = false;
+            server.use((req, res, next) => {
+                signal = req.signal;
+                setTimeout(next, 100);
+            });
+            server.use((req, res, next) => {
+                later = true;
+                res.send('late');
+            });
+            return server.request()
+                .then(res => {
+                    expect(res.statusCode).to.equal(504);
+                    expect(signal.aborted).to.be.true;
+                    expect(signal.reason.code).to.equal('ERTIMEOUT');
+                    return new Promise(resolve => setTimeout(resolve, 100));
+                })
+                .then(() => expect(later).to.be.false);
+        });
+
+        it('ignores a send after the timeout response', () => {
+            const server = SansServer({ logs: false, timeout: .05 });
+            const events = [];
+            let error = null;
+            let late;
+            server.use((req, res, next) => {
+                setTimeout(() => {
+                    try {
+                        late = res.send('late');
+                        res.sendStatus(200);
+                    } catch (err) {
+                        error = err;
+                    }
+                }, 100);
+            });
+            const req = server.request().on('log', event => events.push(event));
+            return req
+                .then(res => {
+                    expect(res.statusCode).to.equal(504);
+                    return new Promise(resolve => setTimeout(resolve, 100));
+                })
+                .then(() => {
+                    expect(error).to.equal(null);
+                    expect(late).to.equal(req.res);
+                    expect(req.res.state.statusCode).to.equal(504);
+                    const ignored = events.filter(e => e.type === 'response' && /^ignored /.test(e.data));
+                    expect(ignored.map(e => e.data)).to.deep.equal([
+                        'ignored send called after the request was aborted',
+                        'ignored sendStatus called after the request was aborted'
+                    ]);
+                    expect(ignored[0].level).to.equal('warn');
+                });
+        });
+
+        it('request config timeout', () => {
+            const server = SansServer({ logs: false, timeout: 10 });
+            server.use((req, res, next) => {});
+            const start = Date.now();
+            return server.request({ timeout: .02 })
+                .then(res => {
+                    expect(res.statusCode).to.equal(504);
+                    expect(Date.now() - start).to.be.below(1000);
+                });
+        });
+
+        it('request config timeout of zero disables timeout', () => {
+            const server = SansServer({ logs: false, timeout: .02 });
+            server.use((req, res, next) => setTimeout(() => res.send('ok'), 50));
+            return server.request({ timeout: 0 })
+                .then(res => expect(res.statusCode).to.equal(200));
+        });
+
+        it('setTimeout can extend the deadline', () => {
+            const server = SansServer({ logs: false, timeout: .02 });
+            server.use((req, res, next) => {
+                req.setTimeout(200);
+                setTimeout(() => res.send('ok'), 50);
+            });
+            return server.request()
+                .then(res => expect(res.statusCode).to.equal(200));
+        });
+
+        it('setTimeout can shorten the deadline', () => {
+            const server = SansServer({ logs: false, timeout: 10 });
+            server.use((req, res, next) => req.setTimeout(5));
+            return server.request()
+                .then(res => expect(res.statusCode).to.equal(504));
+        });
+
+        it('setTimeout requires non-negative number', () => {
+            const server = SansServer({ logs: false });
+            const req = server.request();
+            expect(() => req.setTimeout(-1)).to.throw(/non-negative/);
+            expect(() => req.setTimeout('5')).to.throw(/non-negative/);
+        });
+
+        it('timeout log event names the running hook', () => {
+            const server = SansServer({ logs: false, timeout: .02 });
+            const events = [];
+            server.get('/slow', (req, res, next) => {});
+            return server.request('/slow')
+                .on('log', event => events.push(event))
+                .then(() => {
+                    const event = events.filter(e => /^timeout /.test(e.data))[0];
+                    expect(event.level).to.equal('warn');
+                    expect(event.data).to.equal('timeout Exceeded 20ms while running request hook GET /slow');
+                });
+        });
+
+        it('errors stop the timeout', () => {
+            const server = SansServer({ logs: false, timeout: .03 });
+            const events = [];
+            server.use((req, res, next) => next(Error('Oops')));
+            const req = server.request().on('log', event => events.push(event));
+            return req
+                .then(res => {
+                    expect(res.statusCode).to.equal(500);
+                    return new Promise(resolve => setTimeout(resolve, 60));
+                })
+                .then(() => {
+                    expect(req.signal.aborted).to.be.false;
+                    expect(events.filter(e => /^timeout /.test(e.data)).length).to.equal(0);
+                });
+        });
+
         it('no timeout', (done) => {
             let ended = false;
             const server = SansServer({ timeout: 0 });
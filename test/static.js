@@ -0,0 +1,225 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const fs                = require('fs');
+const os                = require('os');
+const path              = require('path');
+const SansServer        = require('../bin/server/sans-server');
+
+describe('static', () => {
+    let root;
+    let server;
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'sans-server-static-'));
+        fs.writeFileSync(path.join(root, 'index.html'), '<h1>Home</h1>');
+        fs.writeFileSync(path.join(root, 'style.css'), 'body {}');
+        fs.writeFileSync(path.join(root, 'image.png'), Buffer.from([137, 80, 78, 71]));
+        fs.writeFileSync(path.join(root, 'data.unknown'), 'data');
+        fs.writeFileSync(path.join(root, '.secret'), 'secret');
+        fs.writeFileSync(path.join(root, 'a b.txt'), 'spaced');
+        fs.mkdirSync(path.join(root, 'docs'));
+        fs.writeFileSync(path.join(root, 'docs', 'index.html'), '<h1>Docs</h1>');
+        fs.mkdirSync(path.join(root, 'empty'));
+        fs.writeFileSync(path.join(path.dirname(root), 'sans-server-outside.txt'), 'outside');
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+        fs.rmSync(path.join(path.dirname(root), 'sans-server-outside.txt'), { force: true });
+    });
+
+    beforeEach(() => {
+        server = SansServer({ logs: false, rejectable: true });
+        server.use(SansServer.hooks.static(root));
+        server.use((req, res) => res.send('fallthrough'));
+    });
+
+    it('requires a root', () => {
+        expect(() => SansServer.hooks.static()).to.throw(/root/);
+    });
+
+    it('serves a file with content type', () => {
+        return server.request('/style.css')
+            .then(res => {
+                expect(res.statusCode).to.equal(200);
+                expect(res.headers['content-type']).to.equal('text/css; charset=utf-8');
+                expect(Buffer.from(res.body, 'base64').toString()).to.equal('body {}');
+            });
+    });
+
+    it('serves binary files as base64', () => {
+        return server.request('/image.png')
+            .then(res => {
+                expect(res.headers['content-type']).to.equal('image/png');
+                expect(Buffer.from(res.body, 'base64')).to.deep.equal(Buffer.from([137, 80, 78, 71]));
+            });
+    });
+
+    it('uses octet-stream for unknown extensions', () => {
+        return server.request('/data.unknown')
+            .then(res => expect(res.headers['content-type']).to.equal('application/octet-stream'));
+    });
+
+    it('decodes the path', () => {
+        return server.request('/a%20b.txt')
+            .then(res => expect(Buffer.from(res.body, 'base64').toString()).to.equal('spaced'));
+    });
+
+    it('serves the root index file', () => {
+        return server.request('/')
+            .then(res => {
+                expect(res.headers['content-type']).to.equal('text/html; charset=utf-8');
+                expect(Buffer.from(res.body, 'base64').toString()).to.equal('<h1>Home</h1>');
+            });
+    });
+
+    it('serves a directory index file', () => {
+        return server.request('/docs/')
+            .then(res => expect(Buffer.from(res.body, 'base64').toString()).to.equal('<h1>Docs</h1>'));
+    });
+
+    it('redirects a directory without a trailing slash', () => {
+        return server.request({ path: '/docs', query: { a: '1' } })
+            .then(res => {
+                expect(res.statusCode).to.equal(301);
+                expect(res.headers.location).to.equal('/docs/?a=1');
+            });
+    });
+
+    it('falls through for a directory without an index', () => {
+        return server.request('/empty/')
+            .then(res => expect(res.body).to.equal('fallthrough'));
+    });
+
+    it('falls through for missing files', () => {
+        return server.request('/missing.txt')
+            .then(res => expect(res.body).to.equal('fallthrough'));
+    });
+
+    it('falls through for other methods', () => {
+        return server.request({ method: 'POST', path: '/style.css' })
+            .then(res => expect(res.body).to.equal('fallthrough'));
+    });
+
+    it('forbids path traversal', () => {
+        return server.request('/../sans-server-outside.txt')
+            .then(res => expect(res.statusCode).to.equal(403));
+    });
+
+    it('forbids encoded path traversal', () => {
+        return server.request('/%2e%2e%2fsans-server-outside.txt')
+            .then(res => expect(res.statusCode).to.equal(403));
+    });
+
+    it('forbids null bytes', () => {
+        return server.request('/style.css%00.png')
+            .then(res => expect(res.statusCode).to.equal(403));
+    });
+
+    it('rejects invalid path encoding', () => {
+        return server.request('/%E0%A4%A')
+            .then(res => expect(res.statusCode).to.equal(400));
+    });
+
+    it('ignores dot files by default', () => {
+        return server.request('/.secret')
+            .then(res => expect(res.body).to.equal('fallthrough'));
+    });
+
+    it('can deny dot files', () => {
+        const server = SansServer({ logs: false });
+        server.use(SansServer.hooks.static(root, { dotfiles: 'deny' }));
+        return server.request('/.secret')
+            .then(res => expect(res.statusCode).to.equal(403));
+    });
+
+    it('can allow dot files', () => {
+        const server = SansServer({ logs: false });
+        server.use(SansServer.hooks.static(root, { dotfiles: 'allow' }));
+        return server.request('/.secret')
+            .then(res => expect(res.statusCode).to.equal(200));
+    });
+
+    it('serves from a prefix', () => {
+        const server = SansServer({ logs: false });
+        server.use(SansServer.hooks.static(root, { prefix: '/assets/' }));
+        server.use((req, res) => res.send('fallthrough'));
+        return Promise.all([
+            server.request('/assets/style.css'),
+            server.request('/style.css'),
+            server.request('/assetsstyle.css')
+        ])
+            .then(results => {
+                expect(results[0].headers['content-type']).to.equal('text/css; charset=utf-8');
+                expect(results[1].body).to.equal('fallthrough');
+                expect(results[2].body).to.equal('fallthrough');
+            });
+    });
+
+    it('sets caching headers', () => {
+        const stats = fs.statSync(path.join(root, 'style.css'));
+        return server.request('/style.css')
+            .then(res => {
+                expect(res.headers['last-modified']).to.equal(stats.mtime.toUTCString());
+                expect(res.headers.etag).to.match(/^W\/"7-/);
+                expect(res.headers['cache-control']).to.equal('public, max-age=0');
+            });
+    });
+
+    it('can set cache control options', () => {
+        const server = SansServer({ logs: false });
+        server.use(SansServer.hooks.static(root, { etag: false, lastModified: false, maxAge: 3600, immutable: true }));
+        return server.request('/style.css')
+            .then(res => {
+                expect(res.headers['cache-control']).to.equal('public, max-age=3600, immutable');
+                expect(res.headers).not.to.have.property('etag');
+                expect(res.headers).not.to.have.property('last-modified');
+            });
+    });
+
+    it('can set a cache control value', () => {
+        const server = SansServer({ logs: false });
+        server.use(SansServer.hooks.static(root, { cacheControl: 'no-cache' }));
+        return server.request('/style.css')
+            .then(res => expect(res.headers['cache-control']).to.equal('no-cache'));
+    });
+
+    it('responds with 304 for a matching etag', () => {
+        return server.request('/style.css')
+            .then(res => server.request({ path: '/style.css', headers: { 'if-none-match': res.headers.etag } }))
+            .then(res => {
+                expect(res.statusCode).to.equal(304);
+                expect(res.body).to.equal('');
+            });
+    });
+
+    it('responds with 304 when not modified since', () => {
+        const stats = fs.statSync(path.join(root, 'style.css'));
+        return server.request({ path: '/style.css', headers: { 'if-modified-since': stats.mtime.toUTCString() } })
+            .then(res => expect(res.statusCode).to.equal(304));
+    });
+
+    it('can add content types', () => {
+        const server = SansServer({ logs: false });
+        server.use(SansServer.hooks.static(root, { types: { '.unknown': 'text/x-unknown' } }));
+        return server.request('/data.unknown')
+            .then(res => expect(res.headers['content-type']).to.equal('text/x-unknown'));
+    });
+
+});
@@ -0,0 +1,194 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const SansServer        = require('../bin/server/sans-server');
+
+describe('test-client', () => {
+    let server;
+
+    beforeEach(() => {
+        server = SansServer({ logs: false });
+        server.post('/users', (req, res) => res.status(201).send({ name: req.body.name, accept: req.headers.accept }));
+        server.get('/text', (req, res) => res.send('hello ' + (req.query.name || 'world')));
+        server.get('/buffer', (req, res) => res.set('Content-Type', 'text/plain').send(Buffer.from('buffered')));
+        server.get('/binary', (req, res) => res.send(Buffer.from([1, 2, 3])));
+        server.get('/stream', (req, res) => {
+            res.set('Content-Type', 'text/plain');
+            res.write('a');
+            res.end('b');
+        });
+    });
+
+    function fails(client, pattern) {
+        return client.then(
+            () => { throw Error('Expected failure'); },
+            err => {
+                expect(err.code).to.equal('ESTEST');
+                expect(err.message).to.match(pattern);
+                return err;
+            });
+    }
+
+    it('passes expectations', () => {
+        return server.test()
+            .post('/users')
+            .set('Accept', 'application/json')
+            .send({ name: 'Bob' })
+            .expect(201)
+            .expect('content-type', /json/)
+            .expect('Content-Type', 'application/json')
+            .expectBody({ name: 'Bob', accept: 'application/json' })
+            .then(res => {
+                expect(res.statusCode).to.equal(201);
+                expect(res.id).to.be.a('string');
+                expect(res.text).to.equal('{"name":"Bob","accept":"application/json"}');
+            });
+    });
+
+    it('accepts an initial request', () => {
+        return server.test({ method: 'GET', path: '/text' }).expect(200, 'hello world');
+    });
+
+    it('accepts a path', () => {
+        return server.test('/text').expect(200, /hello/);
+    });
+
+    it('sets headers with an object', () => {
+        return server.test()
+            .post('/users')
+            .set({ Accept: 'text/plain' })
+            .send({ name: 'Bob' })
+            .expectBody(body => JSON.parse(body).accept === 'text/plain');
+    });
+
+    it('adds query parameters', () => {
+        return Promise.all([
+            server.test().get('/text').query({ name: 'Ann' }).expectBody('hello Ann'),
+            server.test().get('/text').query('name=Ann').expectBody('hello Ann')
+        ]);
+    });
+
+    it('decodes base64 text bodies', () => {
+        return server.test().get('/buffer').expectBody('buffered')
+            .then(res => expect(res.body).to.equal('buffered'));
+    });
+
+    it('decodes base64 binary bodies', () => {
+        return server.test().get('/binary').expectBody(Buffer.from([1, 2, 3]).toString())
+            .then(res => expect(res.body).to.deep.equal(Buffer.from([1, 2, 3])));
+    });
+
+    it('reads stream bodies', () => {
+        return server.test().get('/stream').expect(200, 'ab');
+    });
+
+    it('runs custom expectations', () => {
+        return server.test().get('/text').expect(res => expect(res.text).to.equal('hello world'));
+    });
+
+    it('calls end with the response', done => {
+        server.test().get('/text').expect(200).end((err, res) => {
+            expect(err).to.equal(null);
+            expect(res.text).to.equal('hello world');
+            done();
+        });
+    });
+
+    it('calls end with a failure', done => {
+        server.test().get('/text').expect(404).end(err => {
+            expect(err.message).to.match(/expected status 404 but received 200/);
+            done();
+        });
+    });
+
+    it('fails for a status', () => {
+        return fails(server.test().get('/missing').expect(200), /^expected status 200 but received 404/);
+    });
+
+    it('fails for a missing header', () => {
+        return fails(server.test().get('/text').expect('x-foo', 'bar'), /expected header x-foo to equal 'bar' but it was not set/);
+    });
+
+    it('fails for a header value', () => {
+        return fails(server.test().get('/text').expect('content-type', /json/), /expected header content-type to match \/json\/ but received 'text\/html'/);
+    });
+
+    it('fails for a body', () => {
+        return Promise.all([
+            fails(server.test().get('/text').expectBody('bye'), /expected body to equal 'bye' but received 'hello world'/),
+            fails(server.test().get('/text').expectBody(/bye/), /expected body to match \/bye\//),
+            fails(server.test().get('/text').expectBody({ a: 1 }), /expected a JSON body/),
+            fails(server.test().post('/users').send({ name: 'Bob' }).expectBody({ name: 'Ann' }), /expected body to equal/),
+            fails(server.test().get('/text').expectBody(() => false), /expected body to pass/)
+        ]);
+    });
+
+    it('fails for a custom expectation', () => {
+        return fails(server.test().get('/text').expect(() => { throw Error('Custom failure'); }), /^Custom failure/);
+    });
+
+    it('stops at the first failure', () => {
+        return fails(server.test().get('/text').expect(404).expect(500), /expected status 404/);
+    });
+
+    it('includes the request id and log events in failures', () => {
+        let id;
+        server.use((req, res, next) => {
+            id = req.id;
+            req.log('custom', 'marker');
+            next();
+        });
+        return fails(server.test().get('/missing').expect(200), /Request ID/)
+            .then(err => {
+                expect(err.requestId).to.equal(id);
+                expect(err.message).to.contain('Request ID: ' + id);
+                expect(err.message).to.contain('custom marker');
+                expect(err.message).to.contain('404 GET /missing');
+            });
+    });
+
+    it('includes log events produced while constructing the request in failures', () => {
+        return fails(server.test({ path: '/missing', query: 5 }).expect(200), /Request ID/)
+            .then(err => {
+                expect(err.message).to.contain('Request query expected a string or non-null object');
+                expect(err.message).to.contain('initialized');
+            });
+    });
+
+    it('sends the log entry to the server transport too', () => {
+        const entries = [];
+        const server = SansServer({ logs: entry => entries.push(entry) });
+        server.use((req, res) => res.send('ok'));
+        return server.test('/').expect(200)
+            .then(res => {
+                expect(entries.length).to.equal(1);
+                expect(entries[0].id).to.equal(res.id);
+            });
+    });
+
+    it('fails when the request rejects', () => {
+        const server = SansServer({ logs: false, rejectable: true });
+        server.use(() => { throw Error('Oops'); });
+        return fails(server.test('/').expect(500), /request failed: Oops/);
+    });
+
+    it('throws for an invalid expectation', () => {
+        expect(() => server.test().expect('x-foo')).to.throw(/Invalid expectation/);
+    });
+
+});
@@ -0,0 +1,294 @@
+/**
+ *  @license
+ *    Copyright 2017 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict';
+const expect            = require('chai').expect;
+const fs                = require('fs');
+const os                = require('os');
+const path              = require('path');
+const SansServer        = require('../bin/server/sans-server');
+
+describe('tracing', () => {
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const parentId = '00f067aa0ba902b7';
+    let exporter;
+    let server;
+
+    beforeEach(() => {
+        exporter = SansServer.tracing.memoryExporter();
+        server = SansServer({ logs: false, tracing: exporter });
+        server.use(function authenticate(req, res, next) {
+            setTimeout(next, 5);
+        });
+        server.get('/users/:id', (req, res) => res.send({ id: req.params.id }));
+        server.get('/broken', (req, res, next) => next(Error('Oops')));
+        server.get('/context', (req, res) => res.send(req.trace));
+    });
+
+    it('requires an exporter', () => {
+        expect(() => SansServer({ tracing: true })).to.throw(/exporter/);
+        try {
+            SansServer({ tracing: {} });
+        } catch (err) {
+            expect(err.code).to.equal('ESTRACE');
+        }
+    });
+
+    it('accepts an exporter function', () => {
+        const exported = [];
+        const server = SansServer({ logs: false, tracing: spans => exported.push(spans) });
+        return server.request('/')
+            .then(() => expect(exported.length).to.equal(1));
+    });
+
+    it('warns when the exporter throws', () => {
+        const emitWarning = process.emitWarning;
+        const warnings = [];
+        process.emitWarning = message => warnings.push(message);
+        const server = SansServer({ logs: false, tracing: () => { throw Error('Collector down'); } });
+        return server.request('/')
+            .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+            .then(() => {
+                process.emitWarning = emitWarning;
+                expect(warnings).to.deep.equal(['Unable to export trace: Collector down']);
+            }, err => {
+                process.emitWarning = emitWarning;
+                throw err;
+            });
+    });
+
+    it('accepts an object with an exporter', () => {
+        const server = SansServer({ logs: false, tracing: { exporter: exporter } });
+        return server.request('/')
+            .then(() => expect(exporter.spans.length).to.be.greaterThan(0));
+    });
+
+    it('produces a server span for the request', () => {
+        return server.request('/users/1')
+            .then(() => {
+                const span = exporter.spans[0];
+                expect(span.kind).to.equal(2);
+                expect(span.name).to.equal('GET /users/:id');
+                expect(span.traceId).to.match(/^[0-9a-f]{32}$/);
+                expect(span.spanId).to.match(/^[0-9a-f]{16}$/);
+                expect(span).not.to.have.property('parentSpanId');
+                expect(span.attributes['http.request.method']).to.equal('GET');
+                expect(span.attributes['http.route']).to.equal('/users/:id');
+                expect(span.attributes['http.response.status_code']).to.equal(200);
+                expect(span.attributes['url.path']).to.equal('/users/1');
+                expect(span.status.code).to.equal(0);
+                expect(span.endTime).to.be.at.least(span.startTime);
+            });
+    });
+
+    it('names unrouted requests by method', () => {
+        return server.request('/missing')
+            .then(() => {
+                expect(exporter.spans[0].name).to.equal('GET');
+                expect(exporter.spans[0].attributes).not.to.have.property('http.route');
+            });
+    });
+
+    it('produces a child span for each request and response hook', () => {
+        return server.request('/users/1')
+            .then(() => {
+                const root = exporter.spans[0];
+                const children = exporter.spans.slice(1);
+                const names = children.map(span => span.name);
+                expect(names).to.include('request hook authenticate');
+                expect(names).to.include('request hook GET /users/:id');
+                expect(names).to.include('response hook transform');
+                children.forEach(span => {
+                    expect(span.kind).to.equal(1);
+                    expect(span.traceId).to.equal(root.traceId);
+                    expect(span.parentSpanId).to.equal(root.spanId);
+                    expect(span.endTime).to.be.at.least(span.startTime);
+                });
+
+                const authenticate = children.filter(span => span.name === 'request hook authenticate')[0];
+                expect(authenticate.attributes).to.deep.equal({
+                    'sans_server.hook.type': 'request',
+                    'sans_server.hook.name': 'authenticate',
+                    'sans_server.hook.weight': 0
+                });
+                expect(authenticate.endTime - authenticate.startTime).to.be.at.least(4);
+            });
+    });
+
+    it('records hook errors and server error status', () => {
+        return server.request('/broken')
+            .then(res => {
+                expect(res.statusCode).to.equal(500);
+                const root = exporter.spans[0];
+                expect(root.status.code).to.equal(2);
+                expect(root.attributes['http.response.status_code']).to.equal(500);
+
+                const hook = exporter.spans.filter(span => span.name === 'request hook GET /broken')[0];
+                expect(hook.status).to.deep.equal({ code: 2, message: 'Oops' });
+                expect(hook.events[0].name).to.equal('exception');
+                expect(hook.events[0].attributes['exception.message']).to.equal('Oops');
+                expect(hook.events[0].attributes['exception.type']).to.equal('Error');
+            });
+    });
+
+    it('does not mark client errors as span errors', () => {
+        return server.request('/missing')
+            .then(res => {
+                expect(res.statusCode).to.equal(404);
+                expect(exporter.spans[0].status.code).to.equal(0);
+            });
+    });
+
+    it('continues an incoming trace', () => {
+        const headers = { traceparent: '00-' + traceId + '-' + parentId + '-01', tracestate: 'vendor=value' };
+        return server.request({ path: '/users/1', headers: headers })
+            .then(() => {
+                exporter.spans.forEach(span => {
+                    expect(span.traceId).to.equal(traceId);
+                    expect(span.traceState).to.equal('vendor=value');
+                });
+                expect(exporter.spans[0].parentSpanId).to.equal(parentId);
+            });
+    });
+
+    it('exposes the trace context on the request', () => {
+        const headers = { traceparent: '00-' + traceId + '-' + parentId + '-01', tracestate: 'vendor=value' };
+        return server.request({ path: '/context', headers: headers })
+            .then(res => {
+                const root = exporter.spans[0];
+                expect(JSON.parse(res.body)).to.deep.equal({
+                    sampled: true,
+                    spanId: root.spanId,
+                    traceId: traceId,
+                    traceparent: '00-' + traceId + '-' + root.spanId + '-01',
+                    tracestate: 'vendor=value'
+                });
+            });
+    });
+
+    it('starts a new trace for an invalid traceparent', () => {
+        const headers = { traceparent: '00-' + traceId + '-0000000000000000-01', tracestate: 'vendor=value' };
+        return server.request({ path: '/', headers: headers })
+            .then(() => {
+                const root = exporter.spans[0];
+                expect(root.traceId).not.to.equal(traceId);
+                expect(root).not.to.have.property('parentSpanId');
+                expect(root.traceState).to.equal('');
+            });
+    });
+
+    it('does not export unsampled traces', () => {
+        const headers = { traceparent: '00-' + traceId + '-' + parentId + '-00' };
+        return server.request({ path: '/context', headers: headers })
+            .then(res => {
+                const context = JSON.parse(res.body);
+                expect(exporter.spans.length).to.equal(0);
+                expect(context.sampled).to.equal(false);
+                expect(context.traceparent).to.match(/-00$/);
+            });
+    });
+
+    it('can reset the memory exporter', () => {
+        return server.request('/')
+            .then(() => {
+                exporter.reset();
+                expect(exporter.spans.length).to.equal(0);
+            });
+    });
+
+    describe('parseTraceparent', () => {
+        const parse = SansServer.tracing.parseTraceparent;
+
+        it('parses a valid header', () => {
+            expect(parse('00-' + traceId + '-' + parentId + '-01')).to.deep.equal({
+                parentId: parentId,
+                traceFlags: 1,
+                traceId: traceId,
+                version: '00'
+            });
+        });
+
+        it('allows additional fields for future versions', () => {
+            expect(parse('01-' + traceId + '-' + parentId + '-01-extra').traceId).to.equal(traceId);
+            expect(parse('00-' + traceId + '-' + parentId + '-01-extra')).to.equal(null);
+        });
+
+        it('rejects invalid headers', () => {
+            expect(parse()).to.equal(null);
+            expect(parse('garbage')).to.equal(null);
+            expect(parse('ff-' + traceId + '-' + parentId + '-01')).to.equal(null);
+            expect(parse('00-' + traceId.toUpperCase() + '-' + parentId + '-01')).to.equal(null);
+            expect(parse('00-00000000000000000000000000000000-' + parentId + '-01')).to.equal(null);
+        });
+    });
+
+    describe('OTLP', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sans-server-tracing-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('converts spans to OTLP JSON', () => {
+            return server.request('/broken')
+                .then(() => {
+                    const request = SansServer.tracing.toOTLP(exporter.spans, 'my-service');
+                    const resource = request.resourceSpans[0].resource;
+                    expect(resource.attributes).to.deep.equal([{ key: 'service.name', value: { stringValue: 'my-service' } }]);
+
+                    const scope = request.resourceSpans[0].scopeSpans[0];
+                    expect(scope.scope.name).to.equal('sans-server');
+                    expect(scope.spans.length).to.equal(exporter.spans.length);
+
+                    const root = scope.spans[0];
+                    expect(root.startTimeUnixNano).to.match(/^\d{19}$/);
+                    expect(BigInt(root.endTimeUnixNano) >= BigInt(root.startTimeUnixNano)).to.equal(true);
+                    expect(root.attributes).to.deep.include({ key: 'http.response.status_code', value: { intValue: '500' } });
+                    expect(root.attributes).to.deep.include({ key: 'http.request.method', value: { stringValue: 'GET' } });
+                    expect(root.status.code).to.equal(2);
+                    expect(root).not.to.have.property('parentSpanId');
+
+                    const hook = scope.spans.filter(span => span.name === 'request hook GET /broken')[0];
+                    expect(hook.parentSpanId).to.equal(root.spanId);
+                    expect(hook.status).to.deep.equal({ code: 2, message: 'Oops' });
+                    expect(hook.events[0].name).to.equal('exception');
+                });
+        });
+
+        it('writes one export request per line to a file', () => {
+            const file = path.join(dir, 'traces.jsonl');
+            const fileExporter = SansServer.tracing.fileExporter(file, { serviceName: 'my-service' });
+            const server = SansServer({ logs: false, tracing: fileExporter });
+            return server.request('/')
+                .then(() => server.request('/'))
+                .then(() => fileExporter.flush())
+                .then(() => {
+                    const lines = fs.readFileSync(file, 'utf8').split('\n');
+                    expect(lines.length).to.equal(3);
+                    expect(lines[2]).to.equal('');
+                    const first = JSON.parse(lines[0]);
+                    const second = JSON.parse(lines[1]);
+                    expect(first.resourceSpans[0].resource.attributes[0].value.stringValue).to.equal('my-service');
+                    expect(first.resourceSpans[0].scopeSpans[0].spans[0].traceId)
+                        .not.to.equal(second.resourceSpans[0].scopeSpans[0].spans[0].traceId);
+                });
+        });
+    });
+});
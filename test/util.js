@@ -66,6 +66,14 @@ describe('util', () => {
             expect(value).to.deep.equal(object);
         });
 
+        it('buffer', () => {
+            const buffer = Buffer.from('abc');
+            const value = util.copy(buffer);
+            expect(value).to.not.equal(buffer);
+            expect(Buffer.isBuffer(value)).to.be.true;
+            expect(value.toString()).to.equal('abc');
+        });
+
     });
 
     describe('seconds', () => {